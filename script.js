@@ -6,507 +6,3716 @@
 // The truck stays fixed while the world moves behind it
 
 // ==============================================================================
-// TRUCK WHEELS SPINNING ANIMATION
+// SCENE CONFIGURATION
 // ==============================================================================
+// A scene describes everything the scroller builds: the native size of the route
+// image, any number of parallax layers (image, speed, depth) and the interactive
+// elements placed on those layers. Scenes are plain JSON-compatible objects, so
+// they can live inline (like the default below) or in a local .json file.
+//
+// A layer's artwork is either one `image` or a list of `segments` (tiles laid out left
+// to right), each a URL or { src, width } with width in native pixels; segments without
+// widths share the layer width equally. Only the segments near the viewport are loaded,
+// and the next stretch is preloaded in the direction of travel.
+//
+// Element positions are percentages of their layer: left/width of the layer width,
+// bottom of the layer height. activeClasses are added while a waypoint that lists
+// the element in its `activate` array is active.
+//
+// Waypoints are the stops along the route. Each one is placed either on a marker
+// element (measured from where that element really is in its layer) or at `left`
+// percent of a `layer`. It activates when the front of the truck reaches it, or
+// `triggerDistance` pixels earlier, and with `hysteresis` set it only deactivates once
+// the truck has backed off that many pixels further (so it doesn't flicker at the edge).
+// When a scene is given as a JS object, waypoints may also carry onEnter/onExit
+// callbacks, which receive (waypoint, scroller). A waypoint's label is what screen
+// readers hear when the truck arrives there, and its `audio` (a clip URL) is what
+// plays when sound is on (a chime otherwise).
+//
+// `audio` sets up sound: `engine` is an optional looping engine clip (a generated
+// engine is used without one) and `volume` the overall level, 0-1.
+//
+// `travel` sets how much scrolling moves the truck how far: `ratio` is the scroll
+// distance per pixel of road (2 = half as far per scroll), and `segments` override it for
+// parts of the route, e.g. to slow down around a stop so users linger there and speed up
+// across empty stretches. A segment covers either `from`-`to` (progress along the route,
+// 0-1) or `before`/`after` (progress) around a `waypoint`, so it stays put across resizes.
+//
+// `ambience` gives parts of the route their own look (see SceneAmbience): `moods` such
+// as day, dusk and night (a `tint` colour over the scene, a CSS `filter` on the layers and
+// replacement `layers` artwork by layer id), `zones` that pick a mood and/or `weather`
+// ('rain', 'snow', 'fog') between two progress values, and `time`: 'route' to follow
+// the zones, 'clock' to follow the local time of day (`clock` hour ranges), or a mood name.
+//
+// Every hotspot is a real control: links point at their image (so they work without
+// script) and buttons need a label; a button with a `waypoint` drives the truck there.
+// Links open the image modal with their caption/description, or with a `gallery`
+// of several images ([{ src, alt, caption, description }]).
 
-// Wait for all HTML elements to be fully loaded before running code
-document.addEventListener('DOMContentLoaded', function() {
-    // Get references to the left and right truck wheel elements from the DOM
-    const leftWheel = document.querySelector('.truck-left-wheel');
-    const rightWheel = document.querySelector('.truck-right-wheel');
+// The vehicle that stays fixed on screen while the road moves. Sizes and positions are
+// in screen pixels (times `scale`): the body sprite's size, and each wheel's box measured
+// from the body's bottom-left corner. A wheel's `radius` is the tyre's radius inside its
+// sprite, so it turns exactly as far as the road moves. `suspension` is the most the body
+// bobs (px) at full speed, and `reverseFacing` turns the vehicle around when driving back.
+const DEFAULT_VEHICLE = {
+    scale: 1,
+    body: { src: './Assets/truck-nowheels.png', alt: 'Truck', width: 661, height: 337 },
+    wheels: [
+        { src: './Assets/Truck-Wheels.png', left: 85, bottom: 2, width: 187.5, height: 125, radius: 49 },
+        { src: './Assets/Truck-Wheels.png', left: 418, bottom: 2, width: 187.5, height: 125, radius: 49 }
+    ],
+    suspension: 3,
+    reverseFacing: true
+};
+
+const DEFAULT_SCENE = {
+    name: 'cyber-plaza',
+    size: { width: 4096, height: 599 }, // Native pixel size of the route artwork
+    vehicle: DEFAULT_VEHICLE,           // Optional; scenes without one use DEFAULT_VEHICLE
+    travel: {
+        ratio: 1, // One pixel of scrolling moves the road one pixel
+        segments: [
+            // Take it slower around the Cyber Plaza stop
+            { waypoint: 'cyber-plaza', before: 0.04, after: 0.08, ratio: 2 }
+        ]
+    },
+    layers: [
+        { id: 'background', image: './Assets/background.webp', speed: 0.3, zIndex: 1 },            // Furthest back, moves slowest
+        { id: 'middle', image: './Assets/foreground.webp', speed: 1, zIndex: 5, interactive: true }, // Holds the clickable hotspots
+        { id: 'foreground', speed: 1, zIndex: 10 }                                                // Road elements, closest
+    ],
+    elements: [
+        {
+            id: 'cyber-plaza1', layer: 'middle', type: 'link', className: 'image-link cyber-plaza1',
+            src: './Assets/individual-images.png', alt: 'Cyber Plaza 1',
+            caption: 'Cyber Plaza', description: 'The plaza as seen arriving from the west.',
+            position: { left: 20.3, bottom: 39, width: 4.4 }, activeClasses: ['active', 'expanded']
+        },
+        {
+            id: 'cyber-plaza2', layer: 'middle', type: 'link', className: 'image-link cyber-plaza2',
+            src: './Assets/individual-images.png', alt: 'Cyber Plaza 2',
+            caption: 'Cyber Plaza', description: 'The plaza as seen leaving to the east.',
+            position: { left: 29.6, bottom: 39, width: 4.4 }, activeClasses: ['active', 'expanded']
+        },
+        {
+            id: 'stop-sign-btn', layer: 'middle', type: 'button', className: 'stop-sign-btn',
+            label: 'Drive to the Cyber Plaza stop', waypoint: 'cyber-plaza',
+            position: { left: 21, bottom: 26 }
+        },
+        {
+            id: 'blue-arrow', layer: 'middle', type: 'image', className: 'blue-arrow',
+            src: './Assets/right-arrow.png', alt: 'Blue Arrow',
+            position: { left: 35.7, bottom: 34, width: 3 }, activeClasses: ['active']
+        },
+        {
+            id: 'stop-sign', layer: 'foreground', type: 'image', className: 'stop-sign',
+            src: './Assets/stop-sign-white.png', alt: 'Stop Sign',
+            position: { left: 20.3, bottom: 0.5, width: 2.1 }, activeClasses: ['active']
+        }
+    ],
+    waypoints: [
+        {
+            id: 'cyber-plaza',
+            label: 'Cyber Plaza',
+            marker: 'stop-sign', // Stop where the stop sign stands
+            activate: ['stop-sign', 'blue-arrow', 'cyber-plaza1', 'cyber-plaza2']
+        }
+    ],
+    ambience: {
+        time: 'route',
+        moods: {
+            day: {},
+            dusk: { tint: 'rgba(255, 110, 40, 0.18)', filter: 'saturate(0.85) brightness(0.9)' },
+            night: { tint: 'rgba(10, 20, 70, 0.45)', filter: 'brightness(0.6) saturate(0.7)' }
+        },
+        // Evening falls over the second half of the drive, with rain near the end
+        zones: [
+            { from: 0.55, to: 1, mood: 'dusk' },
+            { from: 0.75, to: 1, weather: 'rain' }
+        ]
+    }
+};
+
+// Trigger distance used when a waypoint does not set its own:
+// activate as the front of the truck reaches the waypoint
+const DEFAULT_TRIGGER_DISTANCE = 0;
+
+// ==============================================================================
+// SCROLLER OPTIONS
+// ==============================================================================
+// Tuning that is about how the scroller behaves rather than what the route looks like.
+// Passed as the third constructor argument; anything left out uses these defaults.
+
+const DEFAULT_OPTIONS = {
+    // 'page' drives the route with the page's own vertical scroll (the page is made tall enough);
+    // 'contained' keeps the scroller inside its container element, which then takes wheel and
+    // trackpad scrolling (vertical or horizontal) itself and leaves the rest of the page alone
+    mode: 'page',
+    
+    // Fraction of the remaining distance the layers cover per frame (at 60fps).
+    // Lower = smoother, longer coast; 1 = follow the scrollbar exactly
+    damping: 0.12,
+    
+    // Defaults for scrollToProgress / scrollToDistance / goToWaypoint
+    navigationDuration: 800,          // ms, 0 = jump
+    navigationEasing: 'easeInOutCubic', // name from EASINGS or a function t => t
+    
+    // Autodrive: how fast the truck drives itself and how long it waits at each waypoint
+    autodriveSpeed: 150,  // px of road per second
+    autodriveDwell: 3000, // ms spent at each waypoint
+    autodriveLoop: false, // start over from the beginning at the end of the route
+    
+    // Stop programmatic moves and pause autodrive when the user scrolls, swipes or presses a key
+    pauseOnInteraction: true,
+    
+    // Arrow keys / PageUp / PageDown drive between waypoints, Home / End to the ends of the route
+    keyboard: true,
+    
+    // ms to wait for window/container resizing (or a phone rotating) to finish before re-laying out
+    resizeDebounce: 150,
+    
+    // Pixels the truck has to back off past a waypoint before it deactivates
+    // (waypoints can set their own `hysteresis`)
+    waypointHysteresis: 0,
     
-    // Variables to track scroll and mouse movement for wheel rotation
-    let lastScrollY = window.pageYOffset; // Store previous scroll position to calculate delta
-    let wheelRotation = 0; // Accumulator for total wheel rotation in degrees
-    let lastMouseX = null; // Track previous mouse X position to calculate movement
-    let mouseAccel = 0; // Current mouse acceleration value
-    let mouseAccelDecay = 0; // Decaying mouse acceleration for smooth effect
+    // Lazy loading of layer artwork, in viewport widths around what's on screen
+    preloadAhead: 1.5,  // loaded ahead in the direction of travel
+    preloadBehind: 0.5, // loaded behind
+    unloadDistance: 3,  // loaded segments further away than this are released
+    loadingIndicator: true, // show a progress bar until the first segments are in
+    
+    // Route minimap overlay: how far along the truck is, with a marker per waypoint that
+    // drives there when clicked (visited stops are marked). Styled with the --hud-*
+    // custom properties in style.css; false leaves it out
+    hud: true,
+    
+    // Dragging the road sideways (finger, pen or mouse) moves it with the pointer
+    drag: true,
+    dragMomentum: 900, // ms the road coasts on after release; 0 = stop dead
+    dragSnap: false,   // settle on the nearest waypoint (within half a screen) after a drag
+    
+    // 'auto' follows the prefers-reduced-motion setting (and changes to it);
+    // 'full' or 'reduced' force a mode. Reduced motion drops the parallax depth,
+    // easing and wheel spin, jumps instead of animating, and activates waypoints with fades
+    motion: 'auto'
+};
 
-    // Function to rotate both truck wheels based on movement
-    function spinWheels(delta, accel) {
-        // Safety check: ensure wheel elements exist before trying to manipulate them
-        if (!leftWheel || !rightWheel) return;
-        
-        // delta: how much we scrolled (positive = down, negative = up)
-        // accel: mouse acceleration to add extra spinning effect
-        
-        // Calculate base spinning speed from scroll movement
-        const baseSpeed = delta * 1.5; // Multiply by 1.5 to make rotation more visible
-        
-        // Calculate additional speed from mouse acceleration  
-        const accelSpeed = accel * 0.8; // Multiply by 0.8 to make mouse effect less intense
-        
-        // Add both speeds to the total wheel rotation
-        wheelRotation += baseSpeed + accelSpeed;
-        
-        // Apply the rotation transformation to both wheels
-        // CSS transform rotate() function rotates elements by specified degrees
-        leftWheel.style.transform = `rotate(${wheelRotation}deg)`;
-        rightWheel.style.transform = `rotate(${wheelRotation}deg)`;
+// Values accepted by options.motion
+const MOTION_MODES = ['auto', 'full', 'reduced'];
+
+// Values accepted by options.mode
+const SCROLL_MODES = ['page', 'contained'];
+
+// Pixels per line for wheel events that report lines rather than pixels (WheelEvent.deltaMode 1)
+const WHEEL_LINE_HEIGHT = 16;
+
+// Keys that scroll the page or the road; pressing one takes over from autodrive and navigation
+const SCROLL_KEYS = ['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'PageUp', 'PageDown', 'Home', 'End', ' '];
+
+// Easing curves for programmatic navigation: progress 0-1 in, eased 0-1 out
+const EASINGS = {
+    linear: t => t,
+    easeInCubic: t => t * t * t,
+    easeOutCubic: t => 1 - Math.pow(1 - t, 3),
+    easeInOutCubic: t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2)
+};
+
+// Pixels a pointer has to move before we decide between a sideways drag and a native vertical scroll
+const DRAG_THRESHOLD = 8;
+
+// Duration of one frame at 60fps, used to keep easing frame-rate independent
+const FRAME_MS = 1000 / 60;
+
+// Was this element focused from the keyboard (rather than by a click or a script)?
+// Browsers without :focus-visible treat every focus as keyboard focus
+function isFocusVisible(el) {
+    try {
+        return el.matches(':focus-visible');
+    } catch (error) {
+        return true;
     }
+}
 
-    // Listen for scroll events to spin wheels based on scroll movement
-    window.addEventListener('scroll', () => {
-        // Get current scroll position
-        const currentScrollY = window.pageYOffset;
-        
-        // Calculate how much we scrolled since last time (delta)
-        const delta = currentScrollY - lastScrollY;
-        
-        // Spin wheels based on scroll delta and current mouse acceleration decay
-        spinWheels(delta, mouseAccelDecay);
-        
-        // Update last scroll position for next calculation
-        lastScrollY = currentScrollY;
+// Check scroller options and throw a SceneConfigError listing every problem found
+function validateOptions(options) {
+    const errors = [];
+    if (typeof options.damping !== 'number' || !(options.damping > 0 && options.damping <= 1)) {
+        errors.push('options.damping must be a number greater than 0 and at most 1');
+    }
+    ['navigationDuration', 'autodriveSpeed', 'autodriveDwell', 'dragMomentum',
+        'preloadAhead', 'preloadBehind', 'unloadDistance', 'waypointHysteresis', 'resizeDebounce'].forEach(key => {
+        if (typeof options[key] !== 'number' || !isFinite(options[key]) || options[key] < 0) {
+            errors.push(`options.${key} must be a number >= 0`);
+        }
     });
+    if (!SCROLL_MODES.includes(options.mode)) {
+        errors.push(`options.mode must be one of: ${SCROLL_MODES.join(', ')}`);
+    }
+    if (!MOTION_MODES.includes(options.motion)) {
+        errors.push(`options.motion must be one of: ${MOTION_MODES.join(', ')}`);
+    }
+    if (typeof options.navigationEasing !== 'function' && !EASINGS[options.navigationEasing]) {
+        errors.push(`options.navigationEasing must be a function or one of: ${Object.keys(EASINGS).join(', ')}`);
+    }
+    if (errors.length > 0) {
+        throw new SceneConfigError(errors, 'Invalid scroller options');
+    }
+    return options;
+}
 
-    // Listen for mouse movement to add extra wheel spinning effect
-    window.addEventListener('mousemove', (e) => {
-        // Only calculate acceleration if we have a previous mouse position
-        if (lastMouseX !== null) {
-            // e.movementX gives us the horizontal mouse movement since last event
-            mouseAccel = e.movementX;
-            
-            // Set the decay value to current acceleration
-            mouseAccelDecay = mouseAccel;
-            
-            // After 20ms, reset the decay to 0 so the effect fades quickly
-            setTimeout(() => { mouseAccelDecay = 0; }, 20);
+// The element types the scene builder knows how to create
+const SCENE_ELEMENT_TYPES = ['image', 'link', 'button'];
+
+// Error thrown for an invalid scene (or scroller options); errors holds one readable message per problem
+class SceneConfigError extends Error {
+    constructor(errors, heading = 'Invalid scene config') {
+        super(`${heading}:\n  - ${errors.join('\n  - ')}`);
+        this.name = 'SceneConfigError';
+        this.errors = errors;
+    }
+}
+
+// Collect the problems with a vehicle definition into `errors`
+function validateVehicle(vehicle, errors, path = 'vehicle') {
+    const isPositiveNumber = (value) => typeof value === 'number' && isFinite(value) && value > 0;
+    const isNumber = (value) => typeof value === 'number' && isFinite(value);
+    
+    if (vehicle === null || typeof vehicle !== 'object') {
+        errors.push(`${path} must be an object`);
+        return;
+    }
+    if (vehicle.scale !== undefined && !isPositiveNumber(vehicle.scale)) {
+        errors.push(`${path}.scale must be a positive number`);
+    }
+    const body = vehicle.body;
+    if (!body || typeof body.src !== 'string' || !isPositiveNumber(body.width) || !isPositiveNumber(body.height)) {
+        errors.push(`${path}.body must have a src and a positive width and height`);
+    }
+    if (!Array.isArray(vehicle.wheels)) {
+        errors.push(`${path}.wheels must be an array (it can be empty)`);
+    } else {
+        vehicle.wheels.forEach((wheel, index) => {
+            const wheelPath = `${path}.wheels[${index}]`;
+            if (!wheel || typeof wheel.src !== 'string') {
+                errors.push(`${wheelPath}.src must be a string URL`);
+                return;
+            }
+            ['left', 'bottom'].forEach(key => {
+                if (!isNumber(wheel[key])) errors.push(`${wheelPath}.${key} must be a number of pixels`);
+            });
+            ['width', 'height', 'radius'].forEach(key => {
+                if (!isPositiveNumber(wheel[key])) errors.push(`${wheelPath}.${key} must be a positive number`);
+            });
+        });
+    }
+    if (vehicle.suspension !== undefined && (!isNumber(vehicle.suspension) || vehicle.suspension < 0)) {
+        errors.push(`${path}.suspension must be a number of pixels >= 0`);
+    }
+}
+
+// Check a scene description and throw a SceneConfigError listing every problem found
+function validateScene(scene) {
+    const errors = [];
+    const isPositiveNumber = (value) => typeof value === 'number' && isFinite(value) && value > 0;
+    const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+    if (!isObject(scene)) {
+        throw new SceneConfigError(['scene must be an object']);
+    }
+
+    // === ROUTE SIZE ===
+    if (!isObject(scene.size) || !isPositiveNumber(scene.size.width) || !isPositiveNumber(scene.size.height)) {
+        errors.push('size must be an object with positive numeric width and height');
+    }
+
+    // === VEHICLE ===
+    if (scene.vehicle !== undefined) {
+        validateVehicle(scene.vehicle, errors);
+    }
+
+    // === LAYERS ===
+    const layerIds = new Set();
+    if (!Array.isArray(scene.layers) || scene.layers.length === 0) {
+        errors.push('layers must be a non-empty array');
+    } else {
+        scene.layers.forEach((layer, index) => {
+            const path = `layers[${index}]`;
+            if (!isObject(layer)) {
+                errors.push(`${path} must be an object`);
+                return;
+            }
+            if (typeof layer.id !== 'string' || !layer.id) {
+                errors.push(`${path}.id must be a non-empty string`);
+            } else if (layerIds.has(layer.id)) {
+                errors.push(`${path}.id "${layer.id}" is used by more than one layer`);
+            } else {
+                layerIds.add(layer.id);
+            }
+            if (typeof layer.speed !== 'number' || !isFinite(layer.speed) || layer.speed < 0) {
+                errors.push(`${path}.speed must be a number >= 0`);
+            }
+            if (layer.image !== undefined && typeof layer.image !== 'string') {
+                errors.push(`${path}.image must be a string URL`);
+            }
+            if (layer.segments !== undefined) {
+                if (layer.image !== undefined) {
+                    errors.push(`${path} can have an image or segments, not both`);
+                }
+                if (!Array.isArray(layer.segments) || layer.segments.length === 0) {
+                    errors.push(`${path}.segments must be a non-empty array`);
+                } else {
+                    const widths = [];
+                    layer.segments.forEach((segment, segmentIndex) => {
+                        const segmentPath = `${path}.segments[${segmentIndex}]`;
+                        if (typeof segment === 'string') return;
+                        if (!isObject(segment) || typeof segment.src !== 'string') {
+                            errors.push(`${segmentPath} must be a URL or an object with a src`);
+                        } else if (segment.width !== undefined) {
+                            if (isPositiveNumber(segment.width)) widths.push(segment.width);
+                            else errors.push(`${segmentPath}.width must be a positive number`);
+                        }
+                    });
+                    
+                    // Either every segment gives its width (and they add up) or none do
+                    const layerWidth = layer.width || (isObject(scene.size) && scene.size.width);
+                    if (widths.length > 0 && widths.length !== layer.segments.length) {
+                        errors.push(`${path}.segments must either all have a width or none`);
+                    } else if (widths.length > 0 && layerWidth &&
+                        Math.abs(widths.reduce((sum, width) => sum + width, 0) - layerWidth) > 1) {
+                        errors.push(`${path}.segments widths must add up to the layer width (${layerWidth})`);
+                    }
+                }
+            }
+            ['width', 'height'].forEach(key => {
+                if (layer[key] !== undefined && !isPositiveNumber(layer[key])) {
+                    errors.push(`${path}.${key} must be a positive number`);
+                }
+            });
+        });
+    }
+
+    // === INTERACTIVE ELEMENTS ===
+    const elementIds = new Set();
+    if (scene.elements !== undefined && !Array.isArray(scene.elements)) {
+        errors.push('elements must be an array');
+    } else {
+        (scene.elements || []).forEach((element, index) => {
+            const path = `elements[${index}]`;
+            if (!isObject(element)) {
+                errors.push(`${path} must be an object`);
+                return;
+            }
+            if (typeof element.id !== 'string' || !element.id) {
+                errors.push(`${path}.id must be a non-empty string`);
+            } else if (elementIds.has(element.id)) {
+                errors.push(`${path}.id "${element.id}" is used by more than one element`);
+            } else {
+                elementIds.add(element.id);
+            }
+            if (!layerIds.has(element.layer)) {
+                errors.push(`${path}.layer "${element.layer}" does not match any layer id`);
+            }
+            if (!SCENE_ELEMENT_TYPES.includes(element.type)) {
+                errors.push(`${path}.type must be one of: ${SCENE_ELEMENT_TYPES.join(', ')}`);
+            }
+            if ((element.type === 'image' || element.type === 'link') && typeof element.src !== 'string') {
+                errors.push(`${path}.src is required for ${element.type} elements`);
+            }
+            if (!isObject(element.position)) {
+                errors.push(`${path}.position must be an object`);
+            } else {
+                ['left', 'bottom', 'width'].forEach(key => {
+                    const value = element.position[key];
+                    if (value !== undefined && (typeof value !== 'number' || !isFinite(value))) {
+                        errors.push(`${path}.position.${key} must be a number (percent)`);
+                    }
+                });
+            }
+            if (element.activeClasses !== undefined && !Array.isArray(element.activeClasses)) {
+                errors.push(`${path}.activeClasses must be an array of class names`);
+            }
+            // Hotspots need an accessible name: the image alt for links, a label for buttons
+            if (element.type === 'link' && (typeof element.alt !== 'string' || !element.alt)) {
+                errors.push(`${path}.alt is required for link elements (it names the control)`);
+            }
+            if (element.type === 'button' && (typeof element.label !== 'string' || !element.label)) {
+                errors.push(`${path}.label is required for button elements (it names the control)`);
+            }
+            ['caption', 'description'].forEach(key => {
+                if (element[key] !== undefined && typeof element[key] !== 'string') {
+                    errors.push(`${path}.${key} must be a string`);
+                }
+            });
+            if (element.gallery !== undefined) {
+                if (element.type !== 'link') {
+                    errors.push(`${path}.gallery is only supported on link elements`);
+                } else if (!Array.isArray(element.gallery) || element.gallery.length === 0) {
+                    errors.push(`${path}.gallery must be a non-empty array of images`);
+                } else {
+                    element.gallery.forEach((photo, photoIndex) => {
+                        if (!isObject(photo) || typeof photo.src !== 'string') {
+                            errors.push(`${path}.gallery[${photoIndex}] must be an object with a src`);
+                        }
+                    });
+                }
+            }
+        });
+    }
+
+    // === WAYPOINTS ===
+    const waypointIds = new Set();
+    if (scene.waypoints !== undefined && !Array.isArray(scene.waypoints)) {
+        errors.push('waypoints must be an array');
+    } else {
+        (scene.waypoints || []).forEach((waypoint, index) => {
+            const path = `waypoints[${index}]`;
+            if (!isObject(waypoint)) {
+                errors.push(`${path} must be an object`);
+                return;
+            }
+            if (typeof waypoint.id !== 'string' || !waypoint.id) {
+                errors.push(`${path}.id must be a non-empty string`);
+            } else if (waypointIds.has(waypoint.id)) {
+                errors.push(`${path}.id "${waypoint.id}" is used by more than one waypoint`);
+            } else {
+                waypointIds.add(waypoint.id);
+            }
+            if (waypoint.marker !== undefined) {
+                if (!elementIds.has(waypoint.marker)) {
+                    errors.push(`${path}.marker "${waypoint.marker}" does not match any element id`);
+                }
+            } else {
+                if (typeof waypoint.left !== 'number' || !isFinite(waypoint.left)) {
+                    errors.push(`${path} needs either a marker element or a numeric left (percent)`);
+                }
+                if (!layerIds.has(waypoint.layer)) {
+                    errors.push(`${path}.layer "${waypoint.layer}" does not match any layer id`);
+                }
+            }
+            if (waypoint.triggerDistance !== undefined &&
+                (typeof waypoint.triggerDistance !== 'number' || !isFinite(waypoint.triggerDistance))) {
+                errors.push(`${path}.triggerDistance must be a number of pixels`);
+            }
+            if (waypoint.hysteresis !== undefined &&
+                (typeof waypoint.hysteresis !== 'number' || !isFinite(waypoint.hysteresis) || waypoint.hysteresis < 0)) {
+                errors.push(`${path}.hysteresis must be a number of pixels >= 0`);
+            }
+            if (waypoint.label !== undefined && typeof waypoint.label !== 'string') {
+                errors.push(`${path}.label must be a string`);
+            }
+            if (waypoint.audio !== undefined && typeof waypoint.audio !== 'string') {
+                errors.push(`${path}.audio must be a string URL`);
+            }
+            if (waypoint.activate !== undefined) {
+                if (!Array.isArray(waypoint.activate)) {
+                    errors.push(`${path}.activate must be an array of element ids`);
+                } else {
+                    waypoint.activate.forEach(id => {
+                        if (!elementIds.has(id)) {
+                            errors.push(`${path}.activate entry "${id}" does not match any element id`);
+                        }
+                    });
+                }
+            }
+            ['onEnter', 'onExit'].forEach(key => {
+                if (waypoint[key] !== undefined && typeof waypoint[key] !== 'function') {
+                    errors.push(`${path}.${key} must be a function`);
+                }
+            });
+        });
+    }
+
+    // === AUDIO ===
+    if (scene.audio !== undefined) {
+        if (!isObject(scene.audio)) {
+            errors.push('audio must be an object');
+        } else {
+            if (scene.audio.engine !== undefined && typeof scene.audio.engine !== 'string') {
+                errors.push('audio.engine must be a string URL');
+            }
+            if (scene.audio.volume !== undefined &&
+                (typeof scene.audio.volume !== 'number' || !(scene.audio.volume >= 0 && scene.audio.volume <= 1))) {
+                errors.push('audio.volume must be a number between 0 and 1');
+            }
+        }
+    }
+
+    // === TRAVEL MAPPING ===
+    if (scene.travel !== undefined) {
+        const travel = scene.travel;
+        const isRatio = (value) => typeof value === 'number' && isFinite(value) && value > 0;
+        const isProgress = (value) => typeof value === 'number' && value >= 0 && value <= 1;
+        if (travel === null || typeof travel !== 'object') {
+            errors.push('travel must be an object');
+        } else {
+            if (travel.ratio !== undefined && !isRatio(travel.ratio)) {
+                errors.push('travel.ratio must be a positive number');
+            }
+            if (travel.segments !== undefined && !Array.isArray(travel.segments)) {
+                errors.push('travel.segments must be an array');
+            }
+            (Array.isArray(travel.segments) ? travel.segments : []).forEach((segment, index) => {
+                const path = `travel.segments[${index}]`;
+                if (!segment || typeof segment !== 'object') {
+                    errors.push(`${path} must be an object`);
+                    return;
+                }
+                if (!isRatio(segment.ratio)) {
+                    errors.push(`${path}.ratio must be a positive number`);
+                }
+                if (segment.waypoint !== undefined) {
+                    if (!waypointIds.has(segment.waypoint)) {
+                        errors.push(`${path}.waypoint "${segment.waypoint}" does not match any waypoint id`);
+                    }
+                    ['before', 'after'].forEach(key => {
+                        if (segment[key] !== undefined && !isProgress(segment[key])) {
+                            errors.push(`${path}.${key} must be a progress value between 0 and 1`);
+                        }
+                    });
+                } else if (!isProgress(segment.from) || !isProgress(segment.to) || segment.from >= segment.to) {
+                    errors.push(`${path} needs a waypoint, or from < to as progress values between 0 and 1`);
+                }
+            });
+        }
+    }
+
+    // === AMBIENCE ===
+    if (scene.ambience !== undefined) {
+        validateAmbience(scene.ambience, layerIds, errors);
+    }
+
+    // Buttons can drive to a waypoint, which must exist
+    (Array.isArray(scene.elements) ? scene.elements : []).forEach((element, index) => {
+        if (element && element.waypoint !== undefined && !waypointIds.has(element.waypoint)) {
+            errors.push(`elements[${index}].waypoint "${element.waypoint}" does not match any waypoint id`);
         }
-        
-        // Store current mouse X position for next calculation
-        lastMouseX = e.clientX;
     });
-});
+
+    if (errors.length > 0) {
+        throw new SceneConfigError(errors);
+    }
+    return scene;
+}
+
+// Collect the problems with a scene's ambience description into `errors`
+function validateAmbience(ambience, layerIds, errors) {
+    const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const isProgress = (value) => typeof value === 'number' && value >= 0 && value <= 1;
+    
+    if (!isObject(ambience)) {
+        errors.push('ambience must be an object');
+        return;
+    }
+    const moods = isObject(ambience.moods) ? ambience.moods : {};
+    if (!isObject(ambience.moods) || Object.keys(moods).length === 0) {
+        errors.push('ambience.moods must be an object with at least one mood');
+    }
+    Object.keys(moods).forEach(name => {
+        const mood = moods[name];
+        const path = `ambience.moods.${name}`;
+        if (!isObject(mood)) {
+            errors.push(`${path} must be an object`);
+            return;
+        }
+        ['tint', 'filter'].forEach(key => {
+            if (mood[key] !== undefined && typeof mood[key] !== 'string') {
+                errors.push(`${path}.${key} must be a CSS string`);
+            }
+        });
+        if (mood.layers !== undefined) {
+            if (!isObject(mood.layers)) {
+                errors.push(`${path}.layers must map layer ids to image URLs`);
+            } else {
+                Object.keys(mood.layers).forEach(id => {
+                    if (!layerIds.has(id)) errors.push(`${path}.layers "${id}" does not match any layer id`);
+                    if (typeof mood.layers[id] !== 'string') errors.push(`${path}.layers.${id} must be a string URL`);
+                });
+            }
+        }
+    });
+    
+    const time = ambience.time === undefined ? 'route' : ambience.time;
+    if (time !== 'route' && time !== 'clock' && !moods[time]) {
+        errors.push('ambience.time must be "route", "clock" or a mood name');
+    }
+    
+    if (ambience.zones !== undefined && !Array.isArray(ambience.zones)) {
+        errors.push('ambience.zones must be an array');
+    }
+    (Array.isArray(ambience.zones) ? ambience.zones : []).forEach((zone, index) => {
+        const path = `ambience.zones[${index}]`;
+        if (!isObject(zone) || !isProgress(zone.from) || !isProgress(zone.to) || zone.from >= zone.to) {
+            errors.push(`${path} needs from < to as progress values between 0 and 1`);
+            return;
+        }
+        if (zone.mood !== undefined && !moods[zone.mood]) {
+            errors.push(`${path}.mood "${zone.mood}" does not match any mood`);
+        }
+        if (zone.weather !== undefined && zone.weather !== null && !WEATHER_EFFECTS[zone.weather]) {
+            errors.push(`${path}.weather must be one of: ${Object.keys(WEATHER_EFFECTS).join(', ')}`);
+        }
+    });
+    
+    if (ambience.clock !== undefined && !Array.isArray(ambience.clock)) {
+        errors.push('ambience.clock must be an array of { from (hour), mood }');
+    }
+    (Array.isArray(ambience.clock) ? ambience.clock : []).forEach((entry, index) => {
+        if (!isObject(entry) || typeof entry.from !== 'number' || !(entry.from >= 0 && entry.from < 24) || !moods[entry.mood]) {
+            errors.push(`ambience.clock[${index}] needs an hour (0-23) in from and an existing mood`);
+        }
+    });
+    
+    if (ambience.weather !== undefined) {
+        if (!isObject(ambience.weather)) {
+            errors.push('ambience.weather must map weather types to settings');
+        } else {
+            Object.keys(ambience.weather).forEach(type => {
+                if (!WEATHER_EFFECTS[type]) {
+                    errors.push(`ambience.weather "${type}" must be one of: ${Object.keys(WEATHER_EFFECTS).join(', ')}`);
+                }
+            });
+        }
+    }
+    if (ambience.fade !== undefined && (typeof ambience.fade !== 'number' || !(ambience.fade >= 0))) {
+        errors.push('ambience.fade must be a number of ms >= 0');
+    }
+}
+
+// Fetch a scene description from a (local) JSON file and validate it
+async function loadScene(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Could not load scene "${url}": ${response.status} ${response.statusText}`);
+    }
+    return validateScene(await response.json());
+}
 
 // ==============================================================================
 // MAIN HORIZONTAL PARALLAX SCROLLER CLASS
 // ==============================================================================
 // This class handles the core parallax effect that makes vertical scrolling
 // appear as horizontal movement with multiple layers moving at different speeds
+//
+// Scrolling only sets a target distance. A requestAnimationFrame loop eases the
+// layers toward it (see options.damping) and turns the vehicle's wheels from the same
+// interpolated movement, so the truck accelerates and coasts to a stop.
+//
+// With options.mode = 'contained' the scroller instead lives in a bounded container
+// that takes wheel/trackpad input itself, so it can be embedded in a longer page.
+//
+// The scroller is an EventTarget and dispatches CustomEvents (data in event.detail):
+//   loadprogress   - { loaded, total }                           initial artwork loading
+//   ready          - { scene }                                   once, after setup and initial loading
+//   progress       - { progress, distance, velocity, layers }    every rendered frame
+//   waypointenter  - { id, waypoint }                            truck reached a waypoint
+//   waypointleave  - { id, waypoint }                            truck moved back past it
+//   resize         - { viewportWidth, viewportHeight, displayedImageWidth, maxScroll, scrollLength }
+//   settle         - { progress, distance }                      the road coasted to a stop
+//   autodrive      - { state: 'playing' | 'paused' | 'dwelling' | 'ended', waypoint? }
+//   motionchange   - { reduced }                                 reduced motion switched on/off
+//   ambiencechange - { mood, weather }                           the scene's mood or weather changed
+//   destroy        - {}                                          destroy() is tearing it down
+//
+// The truck can also be moved from code: scrollToProgress(), scrollToDistance() and
+// goToWaypoint() (each returns a Promise), and play()/pause() for autodrive.
+//
+// Each scroller only touches its own container (plus window/document listeners it keeps
+// track of), so several can run side by side; only one of them should use page mode,
+// since that one drives the page's scroll. destroy() removes everything it added.
 
-class HorizontalParallaxScroller {
+class HorizontalParallaxScroller extends EventTarget {
     // Constructor runs when we create a new instance of this class
-    constructor() {
-        // === PARALLAX LAYER REFERENCES ===
-        // Get references to the three main parallax layers from the DOM
-        this.backgroundLayer = document.querySelector('.background-layer'); // Furthest back, moves slowest
-        this.middleLayer = document.querySelector('.middle-layer'); // Middle depth, normal speed
-        this.foregroundLayer = document.querySelector('.foreground-layer'); // Closest, moves fastest
-        
-        // === INTERACTIVE ELEMENT REFERENCES ===
-        // Get references to interactive elements that trigger animations
-        this.stopSign = document.querySelector('.stop-sign'); // Stop sign that becomes visible
-        this.blueArrow = document.querySelector('.blue-arrow'); // Arrow that appears near stop sign
-        this.cyberPlaza1 = document.querySelector('.cyber-plaza1'); // First interactive image
-        this.cyberPlaza2 = document.querySelector('.cyber-plaza2'); // Second interactive image
-        
-        // === PARALLAX SPEED CONFIGURATION ===
-        // These values control how fast each layer moves relative to scroll
-        // Lower values = slower movement, higher values = faster movement
-        this.parallaxSpeeds = {
-            background: 0.3,  // Background moves at 30% of scroll speed (slowest)
-            middle: 1,        // Middle moves at 100% of scroll speed (normal)
-            foreground: 1     // Foreground moves at 100% of scroll speed (fastest)
-        };
+    // scene: scene description (see DEFAULT_SCENE), container: element the layers are built into,
+    // options: behaviour tuning (see DEFAULT_OPTIONS)
+    constructor(scene = DEFAULT_SCENE, container = document.querySelector('.parallax-scene'), options = {}) {
+        super();
+        
+        // Reject bad configs up front with a readable list of problems
+        this.scene = validateScene(scene);
+        this.options = validateOptions({ ...DEFAULT_OPTIONS, ...options });
+        this.container = container || document.body;
+        
+        // === LIFECYCLE ===
+        // Everything the scroller hooks into outside its own elements, so destroy() can undo it
+        this.cleanups = [];         // Functions that remove a listener or observer
+        this.timers = new Set();    // Pending setTimeout ids
+        this.announceFrame = null;  // Pending live region update
+        this.loader = null;         // Loading overlay while it's shown
+        this.addedTabIndex = false; // Whether init() made the container focusable
+        this.initialDocumentHeight = ''; // documentElement height before a page scroller set it
+        this.destroyed = false;
         
         // === IMAGE DIMENSIONS ===
-        // The actual pixel dimensions of your background image
-        this.originalImageWidth = 4096; // Width of the source image file
-        this.originalImageHeight = 599; // Height of the source image file
+        // The native pixel dimensions of the route artwork
+        this.originalImageWidth = scene.size.width;   // Width of the source image
+        this.originalImageHeight = scene.size.height; // Height of the source image
+        
+        // === PARALLAX LAYERS AND ELEMENTS ===
+        // Build the layer stack and hotspots described by the scene
+        this.layers = [];    // [{ config, el, segments }] in scene order
+        this.elements = {};  // element id -> { config, el, layer }
+        this.buildScene();
+        
+        // === WAYPOINT STATE TRACKING ===
+        // One entry per scene waypoint; active is true while the truck is past its trigger point
+        this.waypoints = (scene.waypoints || []).map(config => ({ config, active: false }));
+        this.geometry = null;    // Measured truck and waypoint positions, see measureGeometry()
+        this.scrollProgress = 0; // Last rendered progress along the route (0-1)
+        this.isReady = false;    // Becomes true when the 'ready' event fires
+        
+        // === SCROLL MODE ===
+        // In contained mode the scroll position is ours rather than the page's,
+        // and input is only taken from inside the container
+        this.contained = this.options.mode === 'contained';
+        this.scrollPosition = 0; // Contained mode's own scroll position (px)
+        this.scrollLength = 0;   // Scroll distance that covers the whole route, see buildTravelMap()
+        this.travelMap = [];     // Pieces of the route with their own scroll ratio
+        this.inputTarget = this.contained ? this.container : window;
+        
+        // === RENDER LOOP STATE ===
+        this.targetDistance = 0;  // Where the scrollbar says the road should be (px)
+        this.currentDistance = 0; // Where the road is actually drawn (px), eases toward the target
+        this.velocity = 0;        // Interpolated movement in px per 60fps frame
+        this.travelDirection = 1; // 1 = last moved forward, -1 = backward
+        this.frameId = null;      // Pending requestAnimationFrame id, null when idle
+        this.lastFrameTime = null;
+        this.renderFrame = this.renderFrame.bind(this);
+        
+        // === MOTION PREFERENCE ===
+        this.reducedMotion = false; // Set from options.motion / prefers-reduced-motion in init()
+        this.motionQuery = null;    // MediaQueryList for prefers-reduced-motion
+        
+        // === VEHICLE ===
+        // Built from the scene's vehicle definition (see DEFAULT_VEHICLE)
+        this.vehicle = null;    // { config, el, body, wheels: [{ config, el, radius }] }
+        this.wheelRotation = 0; // Road distance (px) the wheels have rolled; each wheel turns it by its radius
+        this.facing = 1;        // 1 = facing right (forward), -1 = turned around
+        this.reverseRun = 0;    // Distance driven against the facing direction, to avoid flip-flopping
+        this.bouncePhase = 0;   // Position in the suspension bounce cycle
+        this.setVehicle(scene.vehicle || DEFAULT_VEHICLE);
+        
+        // === PROGRAMMATIC NAVIGATION STATE ===
+        this.navigation = null; // Running scrollTo animation: { frameId, resolve }
+        this.autodrive = null;  // Autodrive state while playing or paused, null when stopped
         
-        // === ANIMATION STATE TRACKING ===
-        // Variables to track the current state of animations
-        this.hasTriggeredAnimation = false; // Has the stop sign animation been triggered?
-        this.truckPosition = 0; // Truck stays at 0px from left (fixed position)
+        // === POINTER DRAG STATE ===
+        this.drag = null;           // Pointer being tracked, see onPointerDown
+        this.suppressClick = false; // Swallow the click that ends a drag
+        
+        // === ROUTE HUD ===
+        this.hud = null;            // { el, fill, truck, stops: Map(waypoint -> button) } when shown
+        this.visited = new Set();   // Ids of the waypoints the truck has reached
+        
+        // === AMBIENCE ===
+        this.ambience = null;       // SceneAmbience when the scene has an ambience
+        
+        // === RESIZE STATE ===
+        this.resizeTimer = null;    // Pending debounced onResize
+        this.resizeAnchor = null;   // Where the truck was when the resize started, see getRouteAnchor()
         
         // Start the initialization process
         this.init();
     }
     
-    // Initialize all the scroller functionality
-    init() {
-        // Calculate how big the image should appear on screen
-        this.calculateImageSize();
-        
-        // Calculate how much the user needs to scroll
-        this.calculateScrollArea();
-        
-        // === BIND EVENT LISTENERS ===
-        // Listen for scroll events, bind 'this' context so methods can access class properties
-        // { passive: true } tells browser this listener won't prevent default behavior (performance optimization)
-        window.addEventListener('scroll', this.onScroll.bind(this), { passive: true });
+    // Dispatch a CustomEvent on the scroller with the given detail data
+    emit(type, detail) {
+        this.dispatchEvent(new CustomEvent(type, { detail }));
+    }
+    
+    // Add an event listener outside the scroller's own elements and remember it for destroy()
+    listen(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        this.cleanups.push(() => target.removeEventListener(type, handler, options));
+    }
+    
+    // setTimeout that destroy() cancels if it hasn't run yet; returns the id for cancelLater()
+    later(callback, delay) {
+        const id = setTimeout(() => {
+            this.timers.delete(id);
+            callback();
+        }, delay);
+        this.timers.add(id);
+        return id;
+    }
+    
+    // Cancel a timeout started with later()
+    cancelLater(id) {
+        clearTimeout(id);
+        this.timers.delete(id);
+    }
+    
+    // Tear the scroller down: stop every loop and timer, remove every listener, element,
+    // class and inline style it added, and leave the container as it was found.
+    // Dispatches 'destroy' first so page code can unhook itself.
+    destroy() {
+        if (this.destroyed) return;
+        this.emit('destroy', {});
+        this.destroyed = true;
+        
+        // === LOOPS AND TIMERS ===
+        this.stopRenderLoop();
+        this.cancelNavigation();
+        if (this.autodrive) cancelAnimationFrame(this.autodrive.frameId);
+        this.autodrive = null;
+        if (this.announceFrame !== null) cancelAnimationFrame(this.announceFrame);
+        this.timers.forEach(id => clearTimeout(id));
+        this.timers.clear();
+        
+        // === LISTENERS ===
+        if (this.ambience) this.ambience.destroy();
+        this.cleanups.forEach(cleanup => cleanup());
+        this.cleanups = [];
+        if (this.drag) this.endDrag();
+        
+        // === ELEMENTS ===
+        this.layers.forEach(layer => layer.el.remove());
+        this.vehicle.el.remove();
+        if (this.announcer) this.announcer.remove();
+        if (this.loader) this.loader.el.remove();
+        if (this.hud) this.hud.el.remove();
+        
+        // === CLASSES AND INLINE STYLES ===
+        this.container.classList.remove('contained', 'reduced-motion');
+        if (this.addedTabIndex) this.container.removeAttribute('tabindex');
+        if (!this.contained) {
+            document.documentElement.style.height = this.initialDocumentHeight;
+        }
+    }
+    
+    // Fetch a scene file and create a scroller from it
+    static async fromUrl(url, container, options) {
+        const scene = await loadScene(url);
+        return new HorizontalParallaxScroller(scene, container, options);
+    }
+    
+    // Create the DOM for every layer and interactive element in the scene
+    buildScene() {
+        this.scene.layers.forEach((config, index) => {
+            // Each layer is a fixed, full-height strip that gets translated horizontally
+            const el = document.createElement('div');
+            el.className = `parallax-layer ${config.id}-layer`;
+            el.dataset.layer = config.id;
+            el.style.zIndex = config.zIndex !== undefined ? config.zIndex : index + 1;
+            if (config.interactive) {
+                el.style.pointerEvents = 'auto'; // Allow clicks on hotspots in this layer
+            }
+            this.container.appendChild(el);
+            this.layers.push({ config, el, segments: this.createSegments(config, el) });
+        });
+        
+        (this.scene.elements || []).forEach(config => {
+            const layer = this.layers.find(l => l.config.id === config.layer);
+            const el = this.createElement(config);
+            layer.el.appendChild(el);
+            this.elements[config.id] = { config, el, layer };
+        });
+    }
+    
+    // Build (or replace) the vehicle from a vehicle definition
+    setVehicle(config) {
+        const errors = [];
+        validateVehicle(config, errors);
+        if (errors.length > 0) {
+            throw new SceneConfigError(errors, 'Invalid vehicle');
+        }
+        // Where the truck is on the route, in the old vehicle's layout
+        const anchor = this.geometry ? this.getRouteAnchor() : null;
+        if (this.vehicle) this.vehicle.el.remove();
+        
+        const scale = config.scale || 1;
+        
+        // Fixed container that stays in the viewport
+        const el = document.createElement('div');
+        el.className = 'truck';
+        el.style.width = `${config.body.width * scale}px`;
+        el.style.height = `${config.body.height * scale}px`;
+        
+        const body = document.createElement('img');
+        body.className = 'truck-body';
+        body.src = config.body.src;
+        body.alt = config.body.alt || '';
+        body.style.width = `${config.body.width * scale}px`;
+        body.style.height = `${config.body.height * scale}px`;
+        el.appendChild(body);
+        
+        // Wheels are decorative; the body's alt names the vehicle
+        const wheels = config.wheels.map(wheelConfig => {
+            const wheel = document.createElement('img');
+            wheel.className = 'truck-wheel';
+            wheel.src = wheelConfig.src;
+            wheel.alt = '';
+            wheel.style.left = `${wheelConfig.left * scale}px`;
+            wheel.style.bottom = `${wheelConfig.bottom * scale}px`;
+            wheel.style.width = `${wheelConfig.width * scale}px`;
+            wheel.style.height = `${wheelConfig.height * scale}px`;
+            el.appendChild(wheel);
+            return { config: wheelConfig, el: wheel, radius: wheelConfig.radius * scale };
+        });
+        
+        this.container.appendChild(el);
+        this.vehicle = { config, el, body, wheels };
+        this.updateVehicle(0);
+        
+        // A different vehicle reaches waypoints at different points
+        if (anchor) {
+            this.measureGeometry();
+            this.calculateScrollArea();
+            this.layoutHud();
+            this.restoreRouteAnchor(anchor);
+        }
+    }
+    
+    // Create the (not yet loaded) artwork segments of a layer
+    // Each segment: { el, src, start, end (native px), state: 'idle' | 'loading' | 'loaded' | 'failed' }
+    createSegments(config, layerEl) {
+        const sources = config.segments || (config.image ? [config.image] : []);
+        const layerWidth = config.width || this.originalImageWidth;
+        
+        let start = 0;
+        return sources.map(source => {
+            const src = typeof source === 'string' ? source : source.src;
+            const width = (typeof source === 'object' && source.width) || layerWidth / sources.length;
+            
+            // Positioned in percent of the layer so it scales along with it
+            const el = document.createElement('div');
+            el.className = 'layer-segment';
+            el.style.left = `${(start / layerWidth) * 100}%`;
+            el.style.width = `${(width / layerWidth) * 100}%`;
+            layerEl.appendChild(el);
+            
+            const segment = { el, src, start, end: start + width, state: 'idle' };
+            start += width;
+            return segment;
+        });
+    }
+    
+    // Create a single interactive element from its scene description
+    createElement(config) {
+        let el;
+        if (config.type === 'link') {
+            // Clickable image that opens in the image modal
+            // (it links to the image itself, so it still works without script)
+            el = document.createElement('a');
+            el.href = config.href || config.src;
+            el.draggable = false; // Dragging over it moves the road instead
+            el.setAttribute('aria-haspopup', 'dialog');
+            const img = document.createElement('img');
+            img.loading = 'lazy'; // Offscreen hotspots load when the road brings them close
+            img.src = config.src;
+            img.alt = config.alt; // Names the link for screen readers
+            img.draggable = false;
+            el.appendChild(img);
+            
+            // Gallery and captions for the image modal travel as data attributes
+            if (config.caption) el.dataset.caption = config.caption;
+            if (config.description) el.dataset.description = config.description;
+            if (config.gallery) el.dataset.gallery = JSON.stringify(config.gallery);
+        } else if (config.type === 'button') {
+            el = document.createElement('button');
+            el.type = 'button';
+            el.textContent = config.label;
+            if (config.waypoint) {
+                el.addEventListener('click', () => this.goToWaypoint(config.waypoint));
+            }
+        } else {
+            el = document.createElement('img');
+            el.loading = 'lazy';
+            el.src = config.src;
+            el.alt = config.alt || '';
+            el.draggable = false;
+        }
+        
+        el.className = config.className || '';
+        el.dataset.element = config.id;
+        
+        // Positions are percentages of the layer so they scale with the image
+        const { left, bottom, width } = config.position;
+        if (left !== undefined) el.style.left = `${left}%`;
+        if (bottom !== undefined) el.style.bottom = `${bottom}%`;
+        if (width !== undefined) el.style.width = `${width}%`;
+        return el;
+    }
+    
+    // Get the DOM element for a scene element id (or null)
+    getElement(id) {
+        return this.elements[id] ? this.elements[id].el : null;
+    }
+    
+    // Initialize all the scroller functionality
+    init() {
+        // Pick full or reduced motion before anything is drawn
+        this.setupMotionPreference();
+        
+        // A contained scroller is a bounded box in the page that can take keyboard focus;
+        // a page scroller sets the document height, which destroy() puts back
+        if (this.contained) {
+            this.container.classList.add('contained');
+            this.addedTabIndex = !this.container.hasAttribute('tabindex');
+            if (this.addedTabIndex) this.container.tabIndex = 0;
+        } else {
+            this.initialDocumentHeight = document.documentElement.style.height;
+        }
+        
+        // Calculate how big the image should appear on screen
+        this.calculateImageSize();
+        
+        // Measure where the truck and every waypoint really are
+        this.measureGeometry();
+        
+        // Calculate how much the user needs to scroll
+        this.calculateScrollArea();
+        
+        // === BIND EVENT LISTENERS ===
+        // Listen for scroll events, bind 'this' context so methods can access class properties
+        // { passive: true } tells browser this listener won't prevent default behavior (performance optimization)
+        // (a contained scroller has no page scroll to follow; setScrollDistance drives it)
+        if (!this.contained) {
+            this.listen(window, 'scroll', this.onScroll.bind(this), { passive: true });
+        }
+        
+        // Listen for window resize (and phone rotation) events to recalculate dimensions
+        const scheduleResize = this.scheduleResize.bind(this);
+        this.listen(window, 'resize', scheduleResize);
+        this.listen(window, 'orientationchange', scheduleResize);
+        
+        // A contained scroller also resizes with its container, not just the window
+        if (this.contained && window.ResizeObserver) {
+            let observedSize = null;
+            const observer = new ResizeObserver(() => {
+                const size = `${this.container.clientWidth}x${this.container.clientHeight}`;
+                if (observedSize !== null && size !== observedSize) this.scheduleResize();
+                observedSize = size;
+            });
+            observer.observe(this.container);
+            this.cleanups.push(() => observer.disconnect());
+        }
+        
+        // Let the road follow a dragging finger or mouse
+        this.addDragSupport();
+        
+        // Add keyboard driving and screen reader announcements
+        this.addAccessibilitySupport();
+        
+        // Show the route minimap
+        if (this.options.hud) this.hud = this.createHud();
+        
+        // Time of day and weather along the route
+        if (this.scene.ambience) this.ambience = new SceneAmbience(this, this.scene.ambience);
+        
+        // Let the user take over from programmatic moves and autodrive
+        const onUserInput = this.onUserInput.bind(this);
+        ['wheel', 'pointerdown', 'keydown'].forEach(type => {
+            this.listen(this.inputTarget, type, onUserInput, { passive: true });
+        });
+        
+        // Drive with wheels and trackpads (added after onUserInput, which skips prevented events)
+        this.listen(this.inputTarget, 'wheel', this.onWheel.bind(this), { passive: false });
+        
+        // Start at the current scroll position (e.g. after a reload) without easing
+        // (this also starts loading the artwork around it)
+        this.onScroll();
+        this.snapToTarget();
+        
+        // Ready once the artwork on and around the first screen has loaded
+        this.waitForInitialLoad();
+    }
+    
+    // Show loading progress for the segments requested so far and fire 'ready' when they're in.
+    // 'ready' is always dispatched after the constructor returns, so listeners added
+    // right after `new HorizontalParallaxScroller()` still receive it
+    waitForInitialLoad() {
+        const pending = [];
+        this.layers.forEach(layer => layer.segments.forEach(segment => {
+            if (segment.loading) pending.push(segment.loading);
+        }));
+        
+        const total = pending.length;
+        let loaded = 0;
+        const loader = this.options.loadingIndicator && total > 0 ? this.createLoadingIndicator() : null;
+        this.loader = loader;
+        
+        const report = () => {
+            this.emit('loadprogress', { loaded, total });
+            if (loader) {
+                const percent = Math.round((loaded / total) * 100);
+                loader.bar.style.width = `${percent}%`;
+                loader.el.setAttribute('aria-valuenow', percent);
+            }
+        };
+        
+        // Failed images count as done so one missing tile can't block the page
+        pending.forEach(promise => promise.then(() => {
+            if (this.destroyed) return;
+            loaded++;
+            report();
+        }));
+        
+        Promise.all(pending).then(() => {
+            if (this.destroyed) return;
+            if (loader) {
+                loader.el.classList.add('done');
+                this.later(() => loader.el.remove(), 500); // After the fade out
+            }
+            this.isReady = true;
+            this.emit('ready', { scene: this.scene });
+        });
+    }
+    
+    // Build the loading overlay: a labelled progress bar
+    createLoadingIndicator() {
+        const el = document.createElement('div');
+        el.className = 'scene-loader';
+        el.setAttribute('role', 'progressbar');
+        el.setAttribute('aria-label', 'Loading route');
+        el.setAttribute('aria-valuemin', '0');
+        el.setAttribute('aria-valuemax', '100');
+        el.setAttribute('aria-valuenow', '0');
+        
+        const track = document.createElement('div');
+        track.className = 'scene-loader-track';
+        const bar = document.createElement('div');
+        bar.className = 'scene-loader-bar';
+        track.appendChild(bar);
+        el.appendChild(track);
+        
+        this.container.appendChild(el);
+        return { el, bar };
+    }
+    
+    // Build the route minimap: a track filled up to the truck's position, with a button per waypoint
+    createHud() {
+        const el = document.createElement('nav');
+        el.className = 'route-hud';
+        el.setAttribute('aria-label', 'Route');
+        
+        const track = document.createElement('div');
+        track.className = 'route-hud-track';
+        track.setAttribute('role', 'progressbar');
+        track.setAttribute('aria-label', 'Route progress');
+        track.setAttribute('aria-valuemin', '0');
+        track.setAttribute('aria-valuemax', '100');
+        
+        const fill = document.createElement('div');
+        fill.className = 'route-hud-fill';
+        track.appendChild(fill);
+        
+        const truck = document.createElement('div');
+        truck.className = 'route-hud-truck';
+        truck.setAttribute('aria-hidden', 'true');
+        track.appendChild(truck);
+        el.appendChild(track);
+        
+        // Stop markers are real buttons, in route order for keyboard users
+        const stops = new Map();
+        this.getWaypointsByDistance().forEach(({ waypoint }) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'route-hud-stop';
+            button.dataset.waypoint = waypoint.config.id;
+            button.addEventListener('click', () => {
+                this.pause();
+                this.goToWaypoint(waypoint.config.id);
+            });
+            el.appendChild(button);
+            stops.set(waypoint, button);
+        });
+        
+        this.container.appendChild(el);
+        this.hud = { el, track, fill, truck, stops, parked: null };
+        this.layoutHud();
+        this.updateHudStops();
+        return this.hud;
+    }
+    
+    // Place the HUD's stop markers at their waypoints' share of the route
+    layoutHud() {
+        if (!this.hud) return;
+        this.hud.stops.forEach((button, waypoint) => {
+            const position = this.maxScroll > 0 ? this.getWaypointDistance(waypoint) / this.maxScroll : 0;
+            button.style.left = `${position * 100}%`;
+        });
+    }
+    
+    // Move the HUD's truck marker and fill to the drawn position
+    updateHud() {
+        if (!this.hud) return;
+        const percent = this.scrollProgress * 100;
+        this.hud.fill.style.width = `${percent}%`;
+        this.hud.truck.style.left = `${percent}%`;
+        this.hud.track.setAttribute('aria-valuenow', Math.round(percent));
+        
+        // Driving on past a stop leaves it active, so the current stop is followed here
+        if (this.getParkedWaypoint() !== this.hud.parked) this.updateHudStops();
+    }
+    
+    // Show which stops have been visited and which one the truck is parked at
+    updateHudStops() {
+        if (!this.hud) return;
+        this.hud.parked = this.getParkedWaypoint();
+        this.hud.stops.forEach((button, waypoint) => {
+            const { id, label = id } = waypoint.config;
+            const visited = this.visited.has(id);
+            const current = waypoint === this.hud.parked;
+            button.classList.toggle('visited', visited);
+            button.classList.toggle('active', current);
+            button.setAttribute('aria-label', `Drive to ${label}${visited ? ' (visited)' : ''}`);
+            button.title = label;
+            if (current) {
+                button.setAttribute('aria-current', 'location');
+            } else {
+                button.removeAttribute('aria-current');
+            }
+        });
+    }
+    
+    // Load the segments near the viewport (more ahead in the direction of travel)
+    // and release the ones that are far away
+    updateSegments() {
+        const viewportWidth = this.getViewportSize().width;
+        const scale = this.displayedImageWidth / this.originalImageWidth;
+        const forward = this.travelDirection >= 0;
+        const ahead = this.options.preloadAhead * viewportWidth;
+        const behind = this.options.preloadBehind * viewportWidth;
+        const unload = this.options.unloadDistance * viewportWidth;
+        
+        this.layers.forEach(layer => {
+            // Visible stretch of this layer, in displayed pixels
+            const visibleStart = this.currentDistance * this.getLayerSpeed(layer);
+            const visibleEnd = visibleStart + viewportWidth;
+            const keepStart = visibleStart - (forward ? behind : ahead);
+            const keepEnd = visibleEnd + (forward ? ahead : behind);
+            
+            layer.segments.forEach(segment => {
+                const start = segment.start * scale;
+                const end = segment.end * scale;
+                if (end >= keepStart && start <= keepEnd) {
+                    this.loadSegment(segment);
+                } else if (end < visibleStart - unload || start > visibleEnd + unload) {
+                    this.unloadSegment(segment);
+                }
+            });
+        });
+    }
+    
+    // Start loading a segment's image; segment.loading resolves once it's done (or failed)
+    loadSegment(segment) {
+        if (segment.state !== 'idle') return;
+        segment.state = 'loading';
+        segment.loading = new Promise(resolve => {
+            const image = new Image();
+            image.onload = () => {
+                // Skip it if the segment was released while loading
+                if (segment.state === 'loading') {
+                    segment.el.style.backgroundImage = `url('${segment.src}')`;
+                    segment.state = 'loaded';
+                }
+                resolve();
+            };
+            image.onerror = () => {
+                console.warn(`Could not load layer segment "${segment.src}"`);
+                // Not retried until it has been released and comes back into range
+                if (segment.state === 'loading') segment.state = 'failed';
+                resolve();
+            };
+            image.src = segment.src;
+        });
+    }
+    
+    // Drop a segment's image so the browser can free it
+    unloadSegment(segment) {
+        if (segment.state === 'idle') return;
+        segment.state = 'idle';
+        segment.loading = null;
+        segment.el.style.backgroundImage = '';
+    }
+    
+    // Get the layer a waypoint sits on (its marker's layer, or the one it names)
+    getWaypointLayer(waypoint) {
+        const { config } = waypoint;
+        if (config.marker) return this.elements[config.marker].layer;
+        return this.layers.find(l => l.config.id === config.layer);
+    }
+    
+    // Displayed width (px) of a layer, which can differ from the route's if its artwork does
+    getLayerWidth(layer) {
+        const scale = this.displayedImageWidth / this.originalImageWidth;
+        return (layer.config.width || this.originalImageWidth) * scale;
+    }
+    
+    // Horizontal extent of a scene element in its own layer's pixels: { start, end }.
+    // Measured from the layout (both boxes share the layer's translation, so that cancels
+    // out); falls back to the configured percentages while the element isn't laid out.
+    measureElement(element) {
+        const box = element.el.getBoundingClientRect();
+        if (box.width > 0) {
+            const start = box.left - element.layer.el.getBoundingClientRect().left;
+            return { start, end: start + box.width };
+        }
+        const layerWidth = this.getLayerWidth(element.layer);
+        const { left = 0, width = 0 } = element.config.position;
+        return { start: (left / 100) * layerWidth, end: ((left + width) / 100) * layerWidth };
+    }
+    
+    // Measure the truck's on-screen box and each waypoint's extent in its layer.
+    // Done once per layout change rather than every frame, so rendering never forces a reflow.
+    measureGeometry() {
+        // === TRUCK ===
+        // The truck is fixed on screen; its scaleX flip when reversing doesn't change its box
+        const { config, el } = this.vehicle;
+        // (measured from the container's edge when contained, where the layers start)
+        const box = el.getBoundingClientRect();
+        const origin = this.contained ? this.container.getBoundingClientRect().left : 0;
+        const truck = box.width > 0
+            ? { left: box.left - origin, right: box.right - origin }
+            : { left: 0, right: config.body.width * (config.scale || 1) };
+        
+        // === WAYPOINTS ===
+        const waypoints = new Map();
+        this.waypoints.forEach(waypoint => {
+            const { marker, left } = waypoint.config;
+            if (marker) {
+                waypoints.set(waypoint, this.measureElement(this.elements[marker]));
+            } else {
+                const start = (left / 100) * this.getLayerWidth(this.getWaypointLayer(waypoint));
+                waypoints.set(waypoint, { start, end: start });
+            }
+        });
+        
+        this.geometry = { truck, waypoints };
+    }
+    
+    // Set the ambience's time of day: 'route' (follow the scene's zones), 'clock' (local time)
+    // or a mood name. Throws for scenes without an ambience
+    setTimeOfDay(time) {
+        if (!this.ambience) throw new Error('This scene has no ambience');
+        this.ambience.setTime(time);
+    }
+    
+    // Look up a waypoint by its id (or undefined)
+    getWaypoint(id) {
+        return this.waypoints.find(waypoint => waypoint.config.id === id);
+    }
+    
+    // Follow the user's prefers-reduced-motion setting, including changes while the page is open
+    setupMotionPreference() {
+        if (window.matchMedia) {
+            this.motionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+            const onChange = () => this.updateMotionMode();
+            const query = this.motionQuery;
+            if (query.addEventListener) {
+                this.listen(query, 'change', onChange);
+            } else if (query.addListener) {
+                query.addListener(onChange); // Older Safari
+                this.cleanups.push(() => query.removeListener(onChange));
+            }
+        }
+        this.updateMotionMode();
+    }
+    
+    // Force 'full' or 'reduced' motion, or go back to following the system setting with 'auto'
+    setMotionMode(mode) {
+        validateOptions({ ...this.options, motion: mode });
+        this.options.motion = mode;
+        this.updateMotionMode();
+    }
+    
+    // Work out whether reduced motion applies and switch modes if it changed
+    updateMotionMode() {
+        const { motion } = this.options;
+        const reduced = motion === 'reduced' ||
+            (motion === 'auto' && Boolean(this.motionQuery && this.motionQuery.matches));
+        if (reduced === this.reducedMotion) return;
+        
+        // Where the truck is on the route at the old layer speeds (skipped during init,
+        // which lays everything out once it's measured)
+        const anchor = this.maxScroll !== undefined ? this.getRouteAnchor() : null;
+        this.reducedMotion = reduced;
+        
+        // The stylesheet swaps transform animations for fades under this class
+        this.container.classList.toggle('reduced-motion', reduced);
+        
+        // Stop distances depend on the layer speeds, and so do the travel segments
+        // around them: rebuild the travel map and redraw at the same place on the route
+        if (anchor) {
+            this.cancelNavigation();
+            this.calculateScrollArea();
+            this.layoutHud();
+            this.restoreRouteAnchor(anchor);
+        }
+        this.emit('motionchange', { reduced });
+    }
+    
+    // How fast a layer moves relative to the route: its parallax speed,
+    // or 1 for every layer in reduced motion so they move together without depth
+    getLayerSpeed(layer) {
+        return this.reducedMotion ? 1 : layer.config.speed;
+    }
+    
+    // Add keyboard driving, stop announcements and focus handling for hotspots
+    addAccessibilitySupport() {
+        // === LIVE REGION ===
+        // Screen readers announce whatever is written into this (visually hidden) element
+        this.announcer = document.createElement('div');
+        this.announcer.className = 'visually-hidden';
+        this.announcer.setAttribute('role', 'status');
+        this.announcer.setAttribute('aria-live', 'polite');
+        this.container.appendChild(this.announcer);
+        
+        this.addEventListener('waypointenter', (e) => {
+            this.announce(`Arrived at ${e.detail.waypoint.label || e.detail.id}.`);
+        });
+        
+        // === KEEP FOCUSED HOTSPOTS ON SCREEN ===
+        // Layers are fixed and translated, so the browser can't scroll a focused
+        // hotspot into view; drive the truck to it instead. Only for keyboard focus:
+        // clicking a hotspot, or the modal handing focus back, focuses it too
+        this.listen(this.container, 'focusin', (e) => {
+            const el = e.target.closest('[data-element]');
+            if (el && isFocusVisible(e.target)) this.revealElement(el.dataset.element);
+        });
+        
+        // === KEYBOARD DRIVING ===
+        // (a contained scroller listens on its container, registered here before
+        // onUserInput so the keys it handles are already marked as handled there)
+        if (this.options.keyboard) {
+            this.listen(this.contained ? this.container : document, 'keydown', this.onKeyDown.bind(this));
+        }
+    }
+    
+    // Read a message out through the live region
+    announce(message) {
+        // Clear first so repeating the same message is announced again
+        this.announcer.textContent = '';
+        if (this.announceFrame !== null) cancelAnimationFrame(this.announceFrame);
+        this.announceFrame = requestAnimationFrame(() => {
+            this.announceFrame = null;
+            this.announcer.textContent = message;
+        });
+    }
+    
+    // Drive between waypoints with the arrow keys, PageUp/PageDown and Home/End
+    onKeyDown(e) {
+        // Leave modified keys, form fields and dialogs alone
+        if (e.defaultPrevented || e.altKey || e.ctrlKey || e.metaKey) return;
+        const target = e.target;
+        
+        // A contained scroller only drives while focus is inside it
+        if (this.contained && !(target instanceof Node && this.container.contains(target))) return;
+        if (target instanceof Element &&
+            (target.closest('input, textarea, select, [contenteditable], [aria-modal="true"]'))) {
+            return;
+        }
+        
+        let destination;
+        switch (e.key) {
+            case 'ArrowRight':
+            case 'ArrowDown':
+            case 'PageDown':
+                destination = this.getAdjacentStopDistance(1);
+                break;
+            case 'ArrowLeft':
+            case 'ArrowUp':
+            case 'PageUp':
+                destination = this.getAdjacentStopDistance(-1);
+                break;
+            case 'Home':
+                destination = 0;
+                break;
+            case 'End':
+                destination = this.maxScroll;
+                break;
+            default:
+                return;
+        }
+        
+        // Replace the browser's own vertical scrolling with a drive to the next stop
+        e.preventDefault();
+        this.pause();
+        this.scrollToDistance(destination);
+    }
+    
+    // Distance of the next (direction 1) or previous (direction -1) waypoint stop,
+    // or the end/start of the route when there is none
+    getAdjacentStopDistance(direction) {
+        // Count from where a running move is heading, so repeated presses skip ahead
+        const from = this.navigation ? this.navigation.to : this.targetDistance;
+        const stops = this.getWaypointsByDistance().map(({ distance }) => distance);
+        
+        if (direction > 0) {
+            const next = stops.find(distance => distance > from + 1);
+            return next !== undefined ? next : this.maxScroll;
+        }
+        const previous = stops.reverse().find(distance => distance < from - 1);
+        return previous !== undefined ? previous : 0;
+    }
+    
+    // Drive to wherever a scene element can be seen, unless it's already in the viewport:
+    // the waypoint that activates it, or a position that brings it into the viewport
+    revealElement(id) {
+        const element = this.elements[id];
+        if (!element) return;
+        
+        const speed = this.getLayerSpeed(element.layer) || 1;
+        const elementPx = this.measureElement(element).start;
+        const visibleFrom = this.targetDistance * speed;
+        const viewportWidth = this.getViewportSize().width;
+        if (elementPx >= visibleFrom && elementPx <= visibleFrom + viewportWidth) return;
+        
+        const waypoint = this.waypoints.find(wp => (wp.config.activate || []).includes(id));
+        if (waypoint) {
+            this.goToWaypoint(waypoint.config.id);
+            return;
+        }
+        
+        // Otherwise put the element a third of the way into the viewport
+        this.scrollToDistance((elementPx - viewportWidth / 3) / speed);
+    }
+    
+    // Drag the road sideways with any pointer (touch, pen or mouse), with momentum on release.
+    // Vertical movement is left to the browser, so native scrolling keeps driving onScroll
+    // (the page's touch-action: pan-y hands vertical touch pans to the browser).
+    // A contained scroller only starts drags inside its container.
+    addDragSupport() {
+        if (!this.options.drag) return;
+        
+        this.listen(this.inputTarget, 'pointerdown', this.onPointerDown.bind(this));
+        this.listen(window, 'pointermove', this.onPointerMove.bind(this));
+        this.listen(window, 'pointerup', this.onPointerUp.bind(this));
+        this.listen(window, 'pointercancel', this.endDrag.bind(this));
+        
+        // A drag that ends over a hotspot shouldn't also open it
+        this.listen(window, 'click', (e) => {
+            if (!this.suppressClick) return;
+            e.preventDefault();
+            e.stopPropagation();
+            this.suppressClick = false;
+        }, true);
+    }
+    
+    // Start tracking a pointer; it only becomes a drag once it moves sideways
+    onPointerDown(e) {
+        // Primary pointer and (for mice) the main button only
+        if (!e.isPrimary || (e.pointerType === 'mouse' && e.button !== 0)) return;
+        
+        // Leave dialogs and form fields alone
+        if (e.target instanceof Element && e.target.closest('input, textarea, select, [aria-modal="true"]')) return;
+        
+        this.drag = {
+            pointerId: e.pointerId,
+            startX: e.clientX,
+            startY: e.clientY,
+            startDistance: this.targetDistance,
+            axis: null,    // 'x' once we own the gesture, 'y' when it's a native scroll
+            lastX: e.clientX,
+            lastTime: e.timeStamp,
+            velocity: 0    // Route px per ms, smoothed
+        };
+    }
+    
+    // Move the road with the pointer
+    onPointerMove(e) {
+        const drag = this.drag;
+        if (!drag || e.pointerId !== drag.pointerId) return;
+        
+        const dx = e.clientX - drag.startX;
+        const dy = e.clientY - drag.startY;
+        
+        // === DECIDE WHO OWNS THE GESTURE ===
+        if (drag.axis === null) {
+            if (Math.max(Math.abs(dx), Math.abs(dy)) < DRAG_THRESHOLD) return;
+            if (Math.abs(dy) >= Math.abs(dx)) {
+                // Mostly vertical: a normal scroll, not ours
+                this.drag = null;
+                return;
+            }
+            drag.axis = 'x';
+            this.cancelNavigation();
+            this.pause();
+            if (e.target instanceof Element && e.target.setPointerCapture) {
+                e.target.setPointerCapture(e.pointerId);
+            }
+            document.body.classList.add('is-dragging');
+        }
+        
+        // === FOLLOW THE POINTER ===
+        // Moving the finger left pulls the road left, i.e. drives forward
+        const distance = Math.min(Math.max(drag.startDistance - dx, 0), this.maxScroll);
+        
+        // Track release velocity from the last few moves
+        const elapsed = e.timeStamp - drag.lastTime;
+        if (elapsed > 0) {
+            const instant = -(e.clientX - drag.lastX) / elapsed;
+            drag.velocity = 0.8 * instant + 0.2 * drag.velocity;
+        }
+        drag.lastX = e.clientX;
+        drag.lastTime = e.timeStamp;
+        
+        this.setScrollDistance(distance);
+    }
+    
+    // Let go: coast on with the release velocity and optionally snap to a waypoint
+    onPointerUp(e) {
+        const drag = this.drag;
+        if (!drag || e.pointerId !== drag.pointerId) return;
+        this.endDrag();
+        if (drag.axis !== 'x') return;
+        
+        // The click that follows this pointerup belongs to the drag
+        this.suppressClick = true;
+        this.later(() => { this.suppressClick = false; }, 0);
+        
+        // A pointer that stopped before lifting has no momentum
+        const velocity = e.timeStamp - drag.lastTime > 100 ? 0 : drag.velocity;
+        const duration = this.options.dragMomentum;
+        
+        // easeOutCubic starts at 3x its average speed, so this distance matches the release velocity
+        let destination = this.targetDistance + (duration > 0 ? velocity * duration / 3 : 0);
+        destination = Math.min(Math.max(destination, 0), this.maxScroll);
+        
+        if (this.options.dragSnap) {
+            destination = this.getSnapDistance(destination);
+        }
+        if (Math.abs(destination - this.targetDistance) > 1) {
+            this.scrollToDistance(destination, { duration: duration || this.options.navigationDuration, easing: 'easeOutCubic' });
+        }
+    }
+    
+    // Stop tracking the pointer (release or cancel)
+    endDrag() {
+        this.drag = null;
+        document.body.classList.remove('is-dragging');
+    }
+    
+    // The nearest waypoint stop within half a screen of `distance`, or `distance` itself
+    getSnapDistance(distance) {
+        let best = distance;
+        let bestGap = this.getViewportSize().width / 2;
+        this.getWaypointsByDistance().forEach(({ distance: stop }) => {
+            const gap = Math.abs(stop - distance);
+            if (gap <= bestGap) {
+                best = stop;
+                bestGap = gap;
+            }
+        });
+        return best;
+    }
+    
+    // Size of the area the route is shown in: the browser window, or the container when contained
+    getViewportSize() {
+        if (this.contained) {
+            return { width: this.container.clientWidth, height: this.container.clientHeight };
+        }
+        return { width: window.innerWidth, height: window.innerHeight };
+    }
+    
+    // Calculate how big the image should appear based on screen size
+    calculateImageSize() {
+        // Get current viewport dimensions (the window, or the container when contained)
+        const { width: viewportWidth, height: viewportHeight } = this.getViewportSize();
+        
+        // Calculate the aspect ratio of the original image
+        const imageAspectRatio = this.originalImageWidth / this.originalImageHeight;
+        
+        // Calculate image width to fit the full viewport height while maintaining aspect ratio
+        let calculatedWidth = (viewportHeight * imageAspectRatio);
+        
+        // === MOBILE OPTIMIZATION ===
+        // On narrow screens (mobile), limit the maximum width to prevent excessive scrolling
+        if (viewportWidth < 768) { // 768px is common tablet/mobile breakpoint
+            // Limit maximum width to 8 times the screen width
+            const maxMobileWidth = viewportWidth * 8;
+            // Use whichever is smaller: calculated width or mobile limit
+            calculatedWidth = Math.min(calculatedWidth, maxMobileWidth);
+        }
+        
+        // Store the final calculated width
+        this.displayedImageWidth = calculatedWidth;
+        
+        // Update all layer widths to match the calculated image size
+        this.updateLayerSizes();
+        
+        // Debug logging to help understand the calculations
+        console.log('Viewport:', viewportWidth, 'x', viewportHeight);
+        console.log('Displayed image width:', this.displayedImageWidth);
+    }
+    
+    // Update the CSS width of all parallax layers to match the image size
+    updateLayerSizes() {
+        // Layers may use artwork of a different native size than the route;
+        // scale each one by the same factor so they stay aligned
+        const scale = this.displayedImageWidth / this.originalImageWidth;
+        
+        this.layers.forEach(({ config, el }) => {
+            const nativeWidth = config.width || this.originalImageWidth;
+            el.style.width = `${nativeWidth * scale}px`;
+        });
+    }
+    
+    // Calculate how much scrolling area we need and set up the document height
+    calculateScrollArea() {
+        // Calculate maximum distance layers need to move
+        // This is the image width minus viewport width (how much is "hidden" off-screen)
+        const viewport = this.getViewportSize();
+        // (the whole route is always reachable; how much scrolling it takes is up to the travel map)
+        this.maxScroll = Math.max(this.displayedImageWidth - viewport.width, 0);
+        this.buildTravelMap();
+        
+        // Set the document height to create the right amount of scrollable space
+        // We add the viewport height so the page has content that fills the screen
+        // (a contained scroller leaves the page's height alone)
+        if (this.contained) {
+            this.scrollPosition = Math.min(this.scrollPosition, this.scrollLength);
+        } else {
+            document.documentElement.style.height = `${this.scrollLength + viewport.height}px`;
+        }
+        
+        // Debug logging to understand scroll calculations
+        console.log('Max travel distance:', this.maxScroll);
+        console.log('Scroll length:', this.scrollLength);
+    }
+    
+    // Split the route into pieces that each map scrolling to travel at their own ratio
+    // (scene.travel): the base ratio, overridden by the segments in scene order
+    buildTravelMap() {
+        const travel = this.scene.travel || {};
+        const baseRatio = travel.ratio || 1;
+        const length = this.maxScroll;
+        const clamp = (distance) => Math.min(Math.max(distance, 0), length);
+        
+        // Segment ranges in route pixels
+        const ranges = (travel.segments || []).map(segment => {
+            if (segment.waypoint !== undefined) {
+                const at = this.getWaypointDistance(this.getWaypoint(segment.waypoint));
+                return {
+                    from: clamp(at - (segment.before || 0) * length),
+                    to: clamp(at + (segment.after || 0) * length),
+                    ratio: segment.ratio
+                };
+            }
+            return { from: segment.from * length, to: segment.to * length, ratio: segment.ratio };
+        });
+        
+        // Cut the route at every range edge; each piece takes the ratio of the
+        // last segment covering it
+        const edges = Array.from(new Set([0, length, ...ranges.flatMap(range => [range.from, range.to])]))
+            .sort((a, b) => a - b);
+        this.travelMap = [];
+        let scroll = 0;
+        for (let i = 0; i < edges.length - 1; i++) {
+            const start = edges[i];
+            const end = edges[i + 1];
+            const middle = (start + end) / 2;
+            const covering = ranges.filter(range => range.from <= middle && middle < range.to).pop();
+            const ratio = covering ? covering.ratio : baseRatio;
+            this.travelMap.push({ start, end, scrollStart: scroll, ratio });
+            scroll += (end - start) * ratio;
+        }
+        this.scrollLength = scroll;
+    }
+    
+    // Convert a route distance (px) to the scroll position that shows it
+    travelToScroll(distance) {
+        const piece = this.travelMap.find(p => distance <= p.end) || this.travelMap[this.travelMap.length - 1];
+        if (!piece) return 0;
+        return piece.scrollStart + (Math.max(distance, piece.start) - piece.start) * piece.ratio;
+    }
+    
+    // Convert a scroll position to the route distance (px) it shows
+    scrollToTravel(scroll) {
+        const piece = this.travelMap.find(p => scroll <= p.scrollStart + (p.end - p.start) * p.ratio) ||
+            this.travelMap[this.travelMap.length - 1];
+        if (!piece) return 0;
+        return Math.min(piece.start + Math.max(scroll - piece.scrollStart, 0) / piece.ratio, piece.end);
+    }
+    
+    // Main scroll event handler - this runs every time the user scrolls
+    onScroll() {
+        // Get current scroll position (how far down the page we've scrolled,
+        // or how far the contained scroller has been moved)
+        const scrollTop = this.contained ? this.scrollPosition : window.pageYOffset;
+        
+        // Only record where the road should go (through the travel map, since scrolling
+        // and travel don't have to match one to one); the render loop moves it there
+        this.targetDistance = this.scrollToTravel(Math.min(scrollTop, this.scrollLength));
+        this.startRenderLoop();
+    }
+    
+    // Schedule the next animation frame if the loop is not already running
+    startRenderLoop() {
+        if (this.frameId !== null) return;
+        this.lastFrameTime = null;
+        this.frameId = requestAnimationFrame(this.renderFrame);
+    }
+    
+    // Stop the render loop (the road stays where it was last drawn)
+    stopRenderLoop() {
+        if (this.frameId !== null) cancelAnimationFrame(this.frameId);
+        this.frameId = null;
+        this.velocity = 0;
+    }
+    
+    // Jump straight to the target distance without easing (used on load and resize)
+    snapToTarget() {
+        this.stopRenderLoop();
+        this.currentDistance = this.targetDistance;
+        this.render(0);
+    }
+    
+    // One frame of the render loop: ease toward the target, then draw
+    renderFrame(time) {
+        this.frameId = null;
+        
+        // Measure this frame in 60fps frames so the easing feels the same at any frame rate
+        // (capped so a backgrounded tab doesn't jump on its first frame back)
+        const elapsed = this.lastFrameTime === null ? FRAME_MS : Math.min(time - this.lastFrameTime, 100);
+        this.lastFrameTime = time;
+        const frames = elapsed / FRAME_MS;
+        
+        // Cover `damping` of the remaining distance per 60fps frame
+        // (a drag and reduced motion follow the scroll position exactly, with no coasting)
+        const tracking = this.reducedMotion || (this.drag && this.drag.axis === 'x');
+        const damping = tracking ? 1 : this.options.damping;
+        const ease = 1 - Math.pow(1 - damping, frames);
+        const previousDistance = this.currentDistance;
+        this.currentDistance += (this.targetDistance - this.currentDistance) * ease;
+        
+        // Settle once we're within a fraction of a pixel
+        const settled = Math.abs(this.targetDistance - this.currentDistance) < 0.1;
+        if (settled) this.currentDistance = this.targetDistance;
+        
+        const delta = this.currentDistance - previousDistance;
+        this.velocity = frames > 0 ? delta / frames : 0;
+        this.render(delta);
+        
+        // Keep going until the road has coasted to a stop
+        if (settled) {
+            this.velocity = 0;
+            this.emit('settle', { progress: this.scrollProgress, distance: this.currentDistance });
+        } else {
+            this.frameId = requestAnimationFrame(this.renderFrame);
+        }
+    }
+    
+    // Draw the layers, wheels and waypoints at currentDistance
+    // delta: how far the road moved since the last render (positive = forward)
+    render(delta) {
+        const baseMoveDistance = this.currentDistance;
+        this.scrollProgress = this.maxScroll > 0 ? baseMoveDistance / this.maxScroll : 0;
+        
+        // === APPLY TRANSFORMS TO MOVE EACH LAYER ===
+        // Each layer moves by the base distance times its own parallax speed
+        // (translateX with negative value moves left)
+        const layerDistances = {};
+        this.layers.forEach(layer => {
+            const { config, el } = layer;
+            layerDistances[config.id] = baseMoveDistance * this.getLayerSpeed(layer);
+            el.style.transform = `translateX(-${layerDistances[config.id]}px)`;
+        });
+        
+        // Wheels turn with the same interpolated movement as the road
+        this.updateVehicle(delta);
+        
+        // Keep the artwork around the viewport loaded, preloading in the direction of travel
+        if (delta !== 0) this.travelDirection = Math.sign(delta);
+        this.updateSegments();
+        
+        this.updateHud();
+        
+        this.emit('progress', {
+            progress: this.scrollProgress,
+            distance: baseMoveDistance,
+            velocity: this.velocity,
+            layers: layerDistances
+        });
+        
+        // Check every waypoint against the distance its own layer has moved
+        this.waypoints.forEach(waypoint => {
+            const layer = this.getWaypointLayer(waypoint);
+            this.checkWaypointCollision(waypoint, baseMoveDistance * this.getLayerSpeed(layer));
+        });
+    }
+    
+    // Move the vehicle's parts for a frame in which the road moved `delta` px:
+    // turn it around when reversing, roll the wheels and bob the body with speed
+    updateVehicle(delta) {
+        const { config, el, body, wheels } = this.vehicle;
+        
+        // Wheels and suspension stay still in reduced motion
+        const moving = delta !== 0 && !this.reducedMotion;
+        
+        // === FACING ===
+        // Turn around after driving a little way against the current direction
+        if (config.reverseFacing && delta !== 0) {
+            if (Math.sign(delta) !== this.facing) {
+                this.reverseRun += Math.abs(delta);
+                if (this.reverseRun > 30) {
+                    this.facing = -this.facing;
+                    this.reverseRun = 0;
+                }
+            } else {
+                this.reverseRun = 0;
+            }
+        }
+        el.classList.toggle('facing-left', this.facing < 0);
+        
+        // === WHEELS ===
+        // A wheel of radius r turns delta / r radians as the road moves delta px.
+        // Seen from a turned-around vehicle the road runs the other way.
+        if (moving) {
+            this.wheelRotation += (delta * this.facing);
+        }
+        wheels.forEach(wheel => {
+            const degrees = (this.wheelRotation / wheel.radius) * (180 / Math.PI);
+            wheel.el.style.transform = `rotate(${degrees}deg)`;
+        });
+        
+        // === SUSPENSION ===
+        // The body bobs over bumps every ~120px of road, more the faster we go
+        const amplitude = config.suspension !== undefined ? config.suspension : 0;
+        if (moving && amplitude > 0) {
+            this.bouncePhase += (Math.abs(delta) / 120) * Math.PI * 2;
+        }
+        const speedFactor = this.reducedMotion ? 0 : Math.min(Math.abs(this.velocity) / 30, 1);
+        const bounce = amplitude * speedFactor * Math.sin(this.bouncePhase);
+        body.style.transform = bounce ? `translateY(${-Math.abs(bounce)}px)` : '';
+    }
+    
+    // Calculate how far a waypoint's layer has to move before the waypoint activates:
+    // until the waypoint's leading edge (triggerDistance ahead of it) meets the front of the truck
+    getWaypointTriggerPoint(waypoint) {
+        const { truck, waypoints } = this.geometry;
+        const { triggerDistance = DEFAULT_TRIGGER_DISTANCE } = waypoint.config;
+        
+        // Layers are fixed at the left edge, so a layer-relative position is where the
+        // waypoint is on screen before the layer has moved at all
+        return waypoints.get(waypoint).start - triggerDistance - truck.right;
+    }
+    
+    // Horizontal distance (px) on screen from the middle of the truck to where a waypoint
+    // is drawn right now; negative when it's behind the truck
+    getWaypointOffset(waypoint) {
+        const { truck, waypoints } = this.geometry;
+        const speed = this.getLayerSpeed(this.getWaypointLayer(waypoint));
+        return waypoints.get(waypoint).start - this.currentDistance * speed - (truck.left + truck.right) / 2;
+    }
+    
+    // Calculate how far a waypoint's layer has to move for the waypoint to be behind the truck
+    getWaypointPassPoint(waypoint) {
+        return this.geometry.waypoints.get(waypoint).end - this.geometry.truck.left;
+    }
+    
+    // Check if the fixed truck has "collided" with a moving waypoint.
+    // moveDistance is how far the waypoint's own layer has moved (route distance x layer speed).
+    checkWaypointCollision(waypoint, moveDistance) {
+        const triggerPoint = this.getWaypointTriggerPoint(waypoint);
+        const { hysteresis = this.options.waypointHysteresis } = waypoint.config;
+        
+        // Check if we should activate (truck moving forward and reaching trigger point)
+        if (!waypoint.active && moveDistance >= triggerPoint) {
+            this.enterWaypoint(waypoint);
+        }
+        // Check if we should reset (truck moved back far enough past the trigger point)
+        else if (waypoint.active && moveDistance < triggerPoint - hysteresis) {
+            this.leaveWaypoint(waypoint);
+        }
+    }
+    
+    // Activate a waypoint when the truck reaches it
+    enterWaypoint(waypoint) {
+        // Mark it active so we don't trigger again
+        waypoint.active = true;
+        this.visited.add(waypoint.config.id);
+        this.updateHudStops();
+        
+        // Add each activated element's activeClasses (e.g. show the stop sign and blue arrow,
+        // add borders to and expand the cyber plaza images)
+        this.setWaypointElementsActive(waypoint, true);
+        
+        if (waypoint.config.onEnter) waypoint.config.onEnter(waypoint.config, this);
+        this.emit('waypointenter', { id: waypoint.config.id, waypoint: waypoint.config });
+        
+        // Debug logging
+        console.log(`Truck reached waypoint "${waypoint.config.id}".`);
+    }
+    
+    // Reset a waypoint back to its initial state when the truck moves back past it
+    leaveWaypoint(waypoint) {
+        // Mark it inactive so it can trigger again if we move forward
+        waypoint.active = false;
+        this.updateHudStops();
+        
+        // Remove the activeClasses again so every element returns to its initial look
+        this.setWaypointElementsActive(waypoint, false);
+        
+        if (waypoint.config.onExit) waypoint.config.onExit(waypoint.config, this);
+        this.emit('waypointleave', { id: waypoint.config.id, waypoint: waypoint.config });
+        
+        // Debug logging
+        console.log(`Truck moved back from waypoint "${waypoint.config.id}".`);
+    }
+    
+    // Add or remove the activeClasses of every element a waypoint activates
+    setWaypointElementsActive(waypoint, active) {
+        (waypoint.config.activate || []).forEach(id => {
+            const { config, el } = this.elements[id];
+            (config.activeClasses || []).forEach(cls => el.classList.toggle(cls, active));
+        });
+    }
+    
+    // Wait for a burst of resize events to finish before re-laying out, remembering
+    // where the truck was before the first one (the layout it refers to is still current)
+    scheduleResize() {
+        if (this.resizeAnchor === null) this.resizeAnchor = this.getRouteAnchor();
+        if (this.resizeTimer !== null) this.cancelLater(this.resizeTimer);
+        this.resizeTimer = this.later(() => {
+            this.resizeTimer = null;
+            this.onResize();
+        }, this.options.resizeDebounce);
+    }
+    
+    // The truck's logical place on the route, independent of the layout:
+    // the waypoint it's parked at, or else how far along the route it is
+    getRouteAnchor() {
+        const waypoint = this.getParkedWaypoint();
+        if (waypoint) return { waypoint };
+        return { progress: this.maxScroll > 0 ? this.targetDistance / this.maxScroll : 0 };
+    }
+    
+    // Route distance (px) for an anchor from getRouteAnchor() in the current layout
+    getAnchorDistance(anchor) {
+        if (anchor.waypoint) return this.getWaypointDistance(anchor.waypoint);
+        return anchor.progress * this.maxScroll;
+    }
+    
+    // Handle window resize events: re-lay out and put the truck back at the same place on the route
+    onResize() {
+        const anchor = this.resizeAnchor || this.getRouteAnchor();
+        this.resizeAnchor = null;
+        
+        // Moves in flight were planned in the old layout's pixels
+        this.cancelNavigation();
+        
+        // Recalculate image size for new window dimensions
+        this.calculateImageSize();
+        
+        // Element and truck positions have changed with the new sizes
+        this.measureGeometry();
+        
+        // Recalculate scroll area for new dimensions
+        this.calculateScrollArea();
+        this.layoutHud();
+        
+        // The same scroll offset is somewhere else on the resized road
+        this.restoreRouteAnchor(anchor);
+        
+        this.emit('resize', {
+            viewportWidth: this.getViewportSize().width,
+            viewportHeight: this.getViewportSize().height,
+            displayedImageWidth: this.displayedImageWidth,
+            maxScroll: this.maxScroll,
+            scrollLength: this.scrollLength
+        });
+    }
+    
+    // After a re-layout, scroll to wherever the anchor is now and draw it there
+    // without easing across the change in scale
+    restoreRouteAnchor(anchor) {
+        const distance = this.getAnchorDistance(anchor);
+        this.setScrollDistance(distance);
+        this.targetDistance = distance;
+        this.snapToTarget();
+        if (this.autodrive) this.autodrive.position = distance;
+        
+        // Bring waypoint states in line with the new geometry
+        this.syncWaypoints();
+    }
+    
+    // Activate exactly the waypoints the truck has reached at its drawn position, without
+    // hysteresis (used after re-layout). Waypoints already in the right state are left alone.
+    syncWaypoints() {
+        this.waypoints.forEach(waypoint => {
+            const layer = this.getWaypointLayer(waypoint);
+            const reached = this.currentDistance * this.getLayerSpeed(layer) >= this.getWaypointTriggerPoint(waypoint);
+            if (reached && !waypoint.active) this.enterWaypoint(waypoint);
+            else if (!reached && waypoint.active) this.leaveWaypoint(waypoint);
+        });
+    }
+    
+    // ==========================================================================
+    // PROGRAMMATIC NAVIGATION
+    // ==========================================================================
+    
+    // Route distance (px at speed 1) where the truck stops for a waypoint: just past its trigger point
+    getWaypointDistance(waypoint) {
+        const speed = this.getLayerSpeed(this.getWaypointLayer(waypoint)) || 1;
+        const distance = Math.ceil(this.getWaypointTriggerPoint(waypoint) / speed) + 1;
+        return Math.min(Math.max(distance, 0), this.maxScroll);
+    }
+    
+    // Route distances (px at speed 1) over which the truck is at a waypoint:
+    // from its stop distance until the waypoint has passed behind the truck
+    getWaypointZone(waypoint) {
+        const speed = this.getLayerSpeed(this.getWaypointLayer(waypoint)) || 1;
+        const start = this.getWaypointDistance(waypoint);
+        const end = Math.min(this.getWaypointPassPoint(waypoint) / speed, this.maxScroll);
+        return { start, end: Math.max(start, end) };
+    }
+    
+    // Which waypoint the truck is parked at: from its stop point until it has passed behind
+    // the truck (the furthest one if zones overlap), or null
+    getParkedWaypoint() {
+        const distance = this.targetDistance;
+        const parked = this.getWaypointsByDistance().filter(({ waypoint }) => {
+            const zone = this.getWaypointZone(waypoint);
+            return distance >= zone.start && distance <= zone.end;
+        });
+        return parked.length > 0 ? parked[parked.length - 1].waypoint : null;
+    }
+    
+    // Waypoints ordered by where they sit along the route, with their stop distance
+    getWaypointsByDistance() {
+        return this.waypoints
+            .map(waypoint => ({ waypoint, distance: this.getWaypointDistance(waypoint) }))
+            .sort((a, b) => a.distance - b.distance);
+    }
+    
+    // Move the page so the road ends up at `distance` (this is what scrolling does)
+    setScrollDistance(distance) {
+        this.setScrollPosition(this.travelToScroll(Math.min(Math.max(distance, 0), this.maxScroll)));
+    }
+    
+    // Scroll to a raw scroll position; a contained scroller keeps the position itself
+    setScrollPosition(scroll) {
+        if (this.contained) {
+            this.scrollPosition = Math.min(Math.max(scroll, 0), this.scrollLength);
+            this.onScroll();
+            return;
+        }
+        window.scrollTo(0, scroll);
+    }
+    
+    // Move to a progress value between 0 (start) and 1 (end of the route)
+    scrollToProgress(progress, options) {
+        return this.scrollToDistance(Math.min(Math.max(progress, 0), 1) * this.maxScroll, options);
+    }
+    
+    // Move to a waypoint by id; rejects if there is no such waypoint
+    goToWaypoint(id, options) {
+        const waypoint = this.getWaypoint(id);
+        if (!waypoint) {
+            return Promise.reject(new Error(`Unknown waypoint "${id}"`));
+        }
+        return this.scrollToDistance(this.getWaypointDistance(waypoint), options);
+    }
+    
+    // Move to a pixel distance along the route
+    // options: { duration (ms, 0 = jump), easing (EASINGS name or function) }
+    // Resolves true when the move finishes, false if it was interrupted
+    scrollToDistance(distance, { duration = this.options.navigationDuration, easing = this.options.navigationEasing } = {}) {
+        this.cancelNavigation();
+        
+        const to = Math.min(Math.max(distance, 0), this.maxScroll);
+        const from = this.targetDistance;
+        
+        // A zero duration (or no distance to cover) is a jump; so is every move in reduced motion
+        if (duration <= 0 || from === to || this.reducedMotion) {
+            this.setScrollDistance(to);
+            this.targetDistance = to;
+            this.snapToTarget();
+            return Promise.resolve(true);
+        }
+        
+        const ease = typeof easing === 'function' ? easing : EASINGS[easing] || EASINGS.linear;
+        return new Promise(resolve => {
+            let startTime = null;
+            const step = (time) => {
+                if (startTime === null) startTime = time;
+                const t = Math.min((time - startTime) / duration, 1);
+                
+                // Scroll the page along the curve; the render loop eases the layers after it
+                this.setScrollDistance(from + (to - from) * ease(t));
+                
+                if (t < 1) {
+                    this.navigation.frameId = requestAnimationFrame(step);
+                } else {
+                    this.navigation = null;
+                    resolve(true);
+                }
+            };
+            this.navigation = { frameId: requestAnimationFrame(step), resolve, to };
+        });
+    }
+    
+    // Stop a running scrollTo animation where it is
+    cancelNavigation() {
+        if (!this.navigation) return;
+        cancelAnimationFrame(this.navigation.frameId);
+        this.navigation.resolve(false);
+        this.navigation = null;
+    }
+    
+    // Start autodrive, or resume it if paused
+    // options: { speed (px/s), dwell (ms at each waypoint), loop }
+    play({ speed = this.options.autodriveSpeed, dwell = this.options.autodriveDwell, loop = this.options.autodriveLoop } = {}) {
+        this.cancelNavigation();
+        
+        if (this.autodrive && !this.autodrive.paused) return;
+        
+        if (this.autodrive) {
+            // Resume: keep the remaining dwell time and carry on from the current position
+            Object.assign(this.autodrive, { speed, dwell, loop, paused: false, lastTime: null });
+            this.autodrive.position = this.targetDistance;
+        } else {
+            this.autodrive = {
+                speed, dwell, loop,
+                paused: false,
+                position: this.targetDistance,
+                lastTime: null,
+                dwellRemaining: 0,     // ms left at the current waypoint
+                dwelledAt: new Set()   // waypoints already stopped at on this drive
+            };
+            
+            // Don't stop at a waypoint we're already sitting on
+            this.getWaypointsByDistance().forEach(({ waypoint, distance }) => {
+                if (distance <= this.autodrive.position) this.autodrive.dwelledAt.add(waypoint);
+            });
+        }
+        
+        this.autodrive.frameId = requestAnimationFrame(this.autodriveFrame.bind(this));
+        this.emit('autodrive', { state: 'playing' });
+    }
+    
+    // Pause autodrive; play() resumes it
+    pause() {
+        if (!this.autodrive || this.autodrive.paused) return;
+        cancelAnimationFrame(this.autodrive.frameId);
+        this.autodrive.paused = true;
+        this.emit('autodrive', { state: 'paused' });
+    }
+    
+    // Is autodrive currently moving (or waiting at a waypoint)?
+    isPlaying() {
+        return Boolean(this.autodrive && !this.autodrive.paused);
+    }
+    
+    // One frame of autodrive: wait out a dwell, or drive on until the next waypoint
+    autodriveFrame(time) {
+        const drive = this.autodrive;
+        const elapsed = drive.lastTime === null ? 0 : Math.min(time - drive.lastTime, 100);
+        drive.lastTime = time;
+        
+        if (drive.dwellRemaining > 0) {
+            // Parked at a waypoint
+            drive.dwellRemaining -= elapsed;
+        } else {
+            // Reduced motion drives in steps: straight on to the next stop (or the end)
+            let next = this.reducedMotion ? this.maxScroll : drive.position + drive.speed * (elapsed / 1000);
+            
+            // Stop at the first waypoint we'd drive past this frame
+            const stop = this.getWaypointsByDistance().find(({ waypoint, distance }) =>
+                !drive.dwelledAt.has(waypoint) && distance <= next);
+            if (stop) {
+                next = stop.distance;
+                drive.dwelledAt.add(stop.waypoint);
+                drive.dwellRemaining = drive.dwell;
+                this.emit('autodrive', { state: 'dwelling', waypoint: stop.waypoint.config });
+            }
+            
+            drive.position = Math.min(next, this.maxScroll);
+            this.setScrollDistance(drive.position);
+            
+            // End of the road: start over or stop
+            if (drive.position >= this.maxScroll && drive.dwellRemaining <= 0) {
+                if (drive.loop) {
+                    drive.position = 0;
+                    drive.dwelledAt.clear();
+                    this.setScrollDistance(0);
+                    this.targetDistance = 0;
+                    this.snapToTarget();
+                } else {
+                    this.autodrive = null;
+                    this.emit('autodrive', { state: 'ended' });
+                    return;
+                }
+            }
+        }
+        
+        drive.frameId = requestAnimationFrame(this.autodriveFrame.bind(this));
+    }
+    
+    // Wheel and trackpad scrolling. In page mode vertical scrolling is the page's own,
+    // so only sideways gestures are taken; a contained scroller takes both directions
+    // until it reaches an end of the route, then lets the page scroll on.
+    onWheel(e) {
+        if (e.defaultPrevented || e.ctrlKey) return; // ctrl+wheel is the browser's zoom
+        
+        // Leave the road alone while a dialog is open over it
+        if (e.target instanceof Element && e.target.closest('[aria-modal="true"]')) return;
+        
+        // Normalize line and page deltas to pixels
+        const unit = e.deltaMode === 1 ? WHEEL_LINE_HEIGHT : e.deltaMode === 2 ? this.getViewportSize().width : 1;
+        const horizontal = Math.abs(e.deltaX) > Math.abs(e.deltaY);
+        if (!horizontal && !this.contained) return;
+        const delta = (horizontal ? e.deltaX : e.deltaY) * unit;
+        
+        // At either end of the route, scrolling further belongs to the page
+        const from = this.contained ? this.scrollPosition : window.pageYOffset;
+        if ((delta < 0 && from <= 0) || (delta > 0 && from >= this.scrollLength)) return;
+        
+        e.preventDefault();
+        this.setScrollPosition(Math.min(Math.max(from + delta, 0), this.scrollLength));
+    }
+    
+    // The user scrolled, swiped or pressed a key: hand control back to them
+    onUserInput(e) {
+        // Keys the scroller handles itself (keyboard driving) are not a takeover
+        if (!this.options.pauseOnInteraction || e.defaultPrevented) return;
+        // Nor are keys that don't scroll (Tab, shortcuts, typing)
+        if (e.type === 'keydown' && !SCROLL_KEYS.includes(e.key)) return;
+        this.cancelNavigation();
+        this.pause();
+    }
+}
+
+// ==============================================================================
+// AMBIENCE (TIME OF DAY AND WEATHER)
+// ==============================================================================
+// Gives parts of the route their own look on top of the layer stack. A mood tints the
+// scene, filters the layers and can swap in other artwork for some of them; weather
+// is drawn procedurally on canvases that act as extra parallax layers, each moving at
+// its own speed. Moods crossfade into each other and weather fades in and out, as the
+// truck drives through the scene's zones (or as the clock moves, with time: 'clock').
+
+// Built-in weather effects: parallax speed, z-index among the layers, and density (0-1).
+// Scenes can override these per type with ambience.weather
+const WEATHER_EFFECTS = {
+    rain: { speed: 1.3, zIndex: 8, intensity: 0.6 },
+    snow: { speed: 1.1, zIndex: 8, intensity: 0.5 },
+    fog: { speed: 0.6, zIndex: 9, intensity: 0.5 }
+};
+
+// Moods by local hour for time: 'clock' when the scene has no `clock` of its own
+// (only moods the scene defines are used)
+const DEFAULT_CLOCK = [
+    { from: 6, mood: 'day' },
+    { from: 18, mood: 'dusk' },
+    { from: 21, mood: 'night' }
+];
+
+// Crossfade time (ms) when the scene doesn't set ambience.fade
+const DEFAULT_AMBIENCE_FADE = 1500;
+
+class SceneAmbience {
+    // scroller: the HorizontalParallaxScroller to decorate, config: the scene's ambience
+    constructor(scroller, config) {
+        this.scroller = scroller;
+        this.config = config;
+        this.fade = config.fade !== undefined ? config.fade : DEFAULT_AMBIENCE_FADE;
+        this.time = config.time || 'route';
+        
+        this.mood = null;       // Name of the mood shown
+        this.weather = null;    // Weather type shown, or null
+        this.variants = new Map(); // 'mood/layer' -> variant element over that layer's artwork
+        this.effects = new Map();  // weather type -> { canvas, context, particles, settings }
+        this.frameId = null;       // Weather animation frame
+        this.lastTime = null;      // Time of the last weather frame
+        this.clockTimer = null;    // Re-checks the clock every minute with time: 'clock'
+        
+        // The stylesheet's crossfades (tint, layer filters, variants, weather) use this duration
+        scroller.container.style.setProperty('--ambience-fade', `${this.fade}ms`);
+        
+        // === TINT ===
+        // One overlay above the layers (below the truck) whose colour crossfades
+        this.tint = document.createElement('div');
+        this.tint.className = 'ambience-tint';
+        scroller.container.appendChild(this.tint);
+        
+        this.onProgress = this.update.bind(this);
+        this.onResize = this.sizeEffects.bind(this);
+        scroller.addEventListener('progress', this.onProgress);
+        scroller.addEventListener('resize', this.onResize);
+        
+        this.setTime(this.time);
+    }
+    
+    // Follow the route ('route'), the local time ('clock'), or stay in one mood (its name)
+    setTime(time) {
+        if (time !== 'route' && time !== 'clock' && !this.config.moods[time]) {
+            throw new Error(`Unknown ambience time "${time}"`);
+        }
+        this.time = time;
+        if (this.clockTimer !== null) clearInterval(this.clockTimer);
+        this.clockTimer = time === 'clock' ? setInterval(() => this.update(), 60000) : null;
+        this.update();
+    }
+    
+    // The zone settings (mood, weather) at a progress value; later zones win
+    getZone(progress, key) {
+        const zone = (this.config.zones || [])
+            .filter(z => z[key] !== undefined && progress >= z.from && progress <= z.to)
+            .pop();
+        return zone ? zone[key] : undefined;
+    }
+    
+    // The mood for the current time setting and route position
+    getMood(progress) {
+        const moods = Object.keys(this.config.moods);
+        if (this.time === 'clock') {
+            const hour = new Date().getHours();
+            const clock = (this.config.clock || DEFAULT_CLOCK).filter(entry => this.config.moods[entry.mood]);
+            const sorted = clock.slice().sort((a, b) => a.from - b.from);
+            // The last entry that has started today, or else the last one from yesterday
+            const entry = sorted.filter(e => e.from <= hour).pop() || sorted[sorted.length - 1];
+            return entry ? entry.mood : moods[0];
+        }
+        if (this.time !== 'route') return this.time;
+        return this.getZone(progress, 'mood') || moods[0];
+    }
+    
+    // Switch mood and weather when the truck crosses into a different zone
+    update() {
+        const progress = this.scroller.scrollProgress;
+        const mood = this.getMood(progress);
+        const weather = this.getZone(progress, 'weather') || null;
+        if (mood === this.mood && weather === this.weather) return;
+        
+        if (mood !== this.mood) this.applyMood(mood);
+        if (weather !== this.weather) this.applyWeather(weather);
+        this.mood = mood;
+        this.weather = weather;
+        this.scroller.emit('ambiencechange', { mood, weather });
+    }
+    
+    // Crossfade to a mood: tint, layer filters and any replacement artwork
+    applyMood(name) {
+        const mood = this.config.moods[name];
+        this.tint.style.backgroundColor = mood.tint || 'transparent';
+        
+        this.scroller.layers.forEach(layer => {
+            const id = layer.config.id;
+            layer.el.style.filter = mood.filter || '';
+            
+            // Fade this mood's variant in over the layer and every other mood's out
+            if (mood.layers && mood.layers[id]) this.getVariant(name, layer);
+            this.variants.forEach((el, key) => {
+                if (key.endsWith(`/${id}`)) el.classList.toggle('visible', key === `${name}/${id}`);
+            });
+        });
+    }
+    
+    // The element that shows a mood's replacement artwork over a layer (created on first use)
+    getVariant(name, layer) {
+        const key = `${name}/${layer.config.id}`;
+        if (!this.variants.has(key)) {
+            const el = document.createElement('div');
+            el.className = 'layer-variant';
+            el.style.backgroundImage = `url('${this.config.moods[name].layers[layer.config.id]}')`;
+            layer.el.appendChild(el);
+            this.variants.set(key, el);
+            el.getBoundingClientRect(); // Commit opacity 0 so the first fade in animates
+        }
+        return this.variants.get(key);
+    }
+    
+    // Fade the current weather out and the new one (if any) in
+    applyWeather(type) {
+        this.effects.forEach((effect, key) => effect.canvas.classList.toggle('visible', key === type));
+        if (type && !this.effects.has(type)) {
+            const effect = this.createEffect(type);
+            effect.canvas.getBoundingClientRect(); // Commit opacity 0 so it fades in
+            effect.canvas.classList.add('visible');
+        }
+        this.startEffects();
+    }
+    
+    // Build a weather layer: a canvas among the parallax layers, with its own particles
+    createEffect(type) {
+        const settings = { ...WEATHER_EFFECTS[type], ...((this.config.weather || {})[type]) };
+        const canvas = document.createElement('canvas');
+        canvas.className = `weather-layer weather-${type}`;
+        canvas.style.zIndex = settings.zIndex;
+        canvas.setAttribute('aria-hidden', 'true');
+        this.scroller.container.appendChild(canvas);
+        
+        const effect = { type, canvas, context: canvas.getContext && canvas.getContext('2d'), settings, particles: [] };
+        this.effects.set(type, effect);
+        this.sizeEffect(effect);
+        return effect;
+    }
+    
+    // Match every weather canvas to the viewport and scatter its particles over it
+    sizeEffects() {
+        this.effects.forEach(effect => this.sizeEffect(effect));
+    }
+    
+    // Size one weather canvas to the viewport and scatter its particles
+    sizeEffect(effect) {
+        const { width, height } = this.scroller.getViewportSize();
+        effect.canvas.width = width;
+        effect.canvas.height = height;
+        
+        // Particle count scales with the area and the effect's intensity
+        const density = { rain: 0.00025, snow: 0.00012, fog: 0.000006 }[effect.type];
+        const count = Math.max(1, Math.round(width * height * density * effect.settings.intensity));
+        effect.particles = Array.from({ length: count }, () => ({
+            x: Math.random() * width,
+            y: Math.random() * height,
+            size: Math.random(),
+            drift: Math.random() * Math.PI * 2
+        }));
+    }
+    
+    // Run the weather animation while any weather is showing (or fading out)
+    startEffects() {
+        if (this.frameId === null && this.effects.size > 0) {
+            this.frameId = requestAnimationFrame(this.drawEffects.bind(this));
+        }
+    }
+    
+    // One frame of weather: move the particles and draw them shifted by the road
+    drawEffects(time) {
+        this.frameId = null;
+        const elapsed = this.lastTime ? Math.min(time - this.lastTime, 100) / 1000 : 0;
+        this.lastTime = time;
+        
+        // Reduced motion keeps the weather but stops it falling
+        const still = this.scroller.reducedMotion;
+        
+        this.effects.forEach((effect, type) => {
+            const { canvas, context, particles, settings } = effect;
+            if (!context) return;
+            const { width, height } = canvas;
+            const shift = ((this.scroller.currentDistance * settings.speed) % width + width) % width;
+            context.clearRect(0, 0, width, height);
+            
+            particles.forEach(p => {
+                if (!still) {
+                    if (type === 'rain') p.y += (700 + p.size * 400) * elapsed;
+                    if (type === 'snow') {
+                        p.y += (40 + p.size * 50) * elapsed;
+                        p.drift += elapsed;
+                    }
+                    if (type === 'fog') p.x += (8 + p.size * 12) * elapsed;
+                    if (p.y > height) p.y -= height + 20;
+                    p.x = (p.x + width) % width;
+                }
+                
+                // Wrap around the screen as the road moves this layer
+                const x = ((p.x - shift) % width + width) % width;
+                if (type === 'rain') {
+                    context.strokeStyle = `rgba(200, 220, 255, ${0.25 + p.size * 0.35})`;
+                    context.lineWidth = 1;
+                    context.beginPath();
+                    context.moveTo(x, p.y);
+                    context.lineTo(x - 3, p.y + 12 + p.size * 10);
+                    context.stroke();
+                } else if (type === 'snow') {
+                    context.fillStyle = `rgba(255, 255, 255, ${0.6 + p.size * 0.4})`;
+                    context.beginPath();
+                    context.arc(x + Math.sin(p.drift) * 6, p.y, 1.5 + p.size * 2.5, 0, Math.PI * 2);
+                    context.fill();
+                } else {
+                    const radius = 120 + p.size * 200;
+                    const gradient = context.createRadialGradient(x, p.y, 0, x, p.y, radius);
+                    gradient.addColorStop(0, `rgba(230, 235, 240, ${0.25 * settings.intensity})`);
+                    gradient.addColorStop(1, 'rgba(230, 235, 240, 0)');
+                    context.fillStyle = gradient;
+                    context.fillRect(x - radius, p.y - radius, radius * 2, radius * 2);
+                }
+            });
+        });
+        
+        // Keep going while something is on screen; faded-out weather is dropped
+        this.effects.forEach((effect, type) => {
+            if (type !== this.weather && getComputedStyle(effect.canvas).opacity === '0') {
+                effect.canvas.remove();
+                this.effects.delete(type);
+            }
+        });
+        this.lastTime = this.effects.size > 0 ? this.lastTime : null;
+        this.startEffects();
+    }
+    
+    // Remove everything the ambience added and stop its timers
+    destroy() {
+        if (this.frameId !== null) cancelAnimationFrame(this.frameId);
+        if (this.clockTimer !== null) clearInterval(this.clockTimer);
+        this.scroller.removeEventListener('progress', this.onProgress);
+        this.scroller.removeEventListener('resize', this.onResize);
+        this.tint.remove();
+        this.variants.forEach(el => el.remove());
+        this.effects.forEach(effect => effect.canvas.remove());
+        this.scroller.layers.forEach(layer => { layer.el.style.filter = ''; });
+        this.scroller.container.style.removeProperty('--ambience-fade');
+    }
+}
+
+// ==============================================================================
+// INITIALIZATION AND IMAGE MODAL FUNCTIONALITY
+// ==============================================================================
+
+// Initialize everything when the DOM is fully loaded
+document.addEventListener('DOMContentLoaded', () => {
+    // A scene file can be given with <div class="parallax-scene" data-scene-src="route.json">,
+    // otherwise the built-in DEFAULT_SCENE is used
+    // Pages without one (e.g. an app that mounts scrollers itself) are left alone
+    const container = document.querySelector('.parallax-scene');
+    if (!container) return;
+    const sceneSrc = container.dataset.sceneSrc;
+    
+    if (sceneSrc) {
+        HorizontalParallaxScroller.fromUrl(sceneSrc, container)
+            .then(setupPage)
+            .catch(error => console.error(error));
+        return;
+    }
+    
+    // Create and start the parallax scroller
+    setupPage(new HorizontalParallaxScroller(DEFAULT_SCENE, container));
+});
+
+// Wire the page features to a freshly created scroller
+function setupPage(scroller) {
+    // The scroller is exposed as window.parallaxScroller so other scripts can
+    // listen to its events (see the class comment for the list)
+    window.parallaxScroller = scroller;
+    
+    // Set up the image expansion modal functionality
+    const imageModal = setupImageExpansion();
+    
+    // Keep the truck position and open image in the URL hash
+    setupDeepLinking(scroller, imageModal);
+    
+    // Engine sound and waypoint cues, off until the sound toggle turns them on
+    setupAudio(scroller);
+    
+    // Engagement tracking, when the page asks for it with data-analytics; a data-analytics-opt-out
+    // attribute starts it switched off. Exposed as window.parallaxAnalytics (null without it)
+    // so a consent control can call setDoNotTrack()
+    const { analytics, analyticsOptOut } = scroller.container.dataset;
+    window.parallaxAnalytics = null;
+    if (analytics) {
+        window.parallaxAnalytics = setupAnalytics(scroller, imageModal, {
+            sink: analytics,
+            doNotTrack: analyticsOptOut !== undefined
+        });
+    }
+}
+
+// Function to handle clicking on images to expand them in a modal
+// Each image link opens a gallery: its own image, or the list in its data-gallery attribute
+// (JSON [{ src, alt, caption, description }], written from the scene's `gallery`).
+// Captions come from data-caption / data-description for single images.
+// Clicks are picked up at document level, so hotspots of scrollers mounted later open it too;
+// `index` is a link's position among all the page's .image-link elements.
+// Returns { open(index, photo), close(), getOpenIndex(), getPhotoIndex() } for other code
+// to drive the modal, and dispatches 'modalopen' ({ index, photo, element, src }),
+// 'modalchange' ({ index, photo }) and 'modalclose' events on the modal element
+function setupImageExpansion() {
+    // === GET MODAL ELEMENTS ===
+    // Get references to modal elements from the DOM
+    const modal = document.getElementById('image-modal');        // The modal overlay container
+    const expandedImg = document.getElementById('expanded-image'); // The large image inside modal
+    const closeBtn = modal.querySelector('.close-modal');        // The X button to close modal
+    const prevBtn = modal.querySelector('.modal-prev');          // Previous image in the gallery
+    const nextBtn = modal.querySelector('.modal-next');          // Next image in the gallery
+    const viewport = modal.querySelector('.modal-viewport');     // Zoom/pan area around the image
+    const counter = modal.querySelector('.modal-counter');       // "2 / 5"
+    const caption = modal.querySelector('.modal-caption');
+    const description = modal.querySelector('.modal-description');
+    
+    let openIndex = null;     // Index of the image link currently shown, null when closed
+    // All clickable image links, in page order (looked up each time, as scrollers come and go)
+    function getImageLinks() {
+        return Array.from(document.querySelectorAll('.image-link'));
+    }
+    
+    let gallery = [];         // Images of the open link: [{ src, alt, caption, description }]
+    let photoIndex = 0;       // Which gallery image is shown
+    let returnFocusTo = null; // Element that had focus before the modal opened
+    let savedScrollY = 0;     // Road position to return to on close
+    
+    // Zoom and pan of the shown image
+    const MAX_ZOOM = 4;
+    const view = { scale: 1, x: 0, y: 0 };
+    
+    // Read the gallery of an image link from its data attributes
+    function getGallery(link) {
+        if (link.dataset.gallery) {
+            try {
+                return JSON.parse(link.dataset.gallery);
+            } catch (error) {
+                console.warn('Ignoring invalid data-gallery on image link', link, error);
+            }
+        }
+        const img = link.querySelector('img');
+        return [{
+            src: img.src,
+            alt: img.alt,
+            caption: link.dataset.caption,
+            description: link.dataset.description
+        }];
+    }
+    
+    // === ZOOM AND PAN ===
+    
+    // Write the zoom/pan state to the image
+    function applyView() {
+        expandedImg.style.transform = `translate(${view.x}px, ${view.y}px) scale(${view.scale})`;
+        modal.classList.toggle('zoomed', view.scale > 1);
+    }
+    
+    // Back to the whole image
+    function resetView() {
+        Object.assign(view, { scale: 1, x: 0, y: 0 });
+        applyView();
+    }
+    
+    // Keep a zoomed image covering its box so it can't be panned out of sight
+    function clampPan() {
+        const width = expandedImg.offsetWidth;
+        const height = expandedImg.offsetHeight;
+        view.x = Math.min(0, Math.max(view.x, width * (1 - view.scale)));
+        view.y = Math.min(0, Math.max(view.y, height * (1 - view.scale)));
+    }
+    
+    // Zoom to `scale`, keeping the screen point (clientX, clientY) where it is
+    // (defaults to the middle of the image)
+    function zoomTo(scale, clientX, clientY) {
+        const rect = expandedImg.getBoundingClientRect();
+        const originX = rect.left - view.x; // Untransformed top-left of the image
+        const originY = rect.top - view.y;
+        const pointX = clientX !== undefined ? clientX : rect.left + rect.width / 2;
+        const pointY = clientY !== undefined ? clientY : rect.top + rect.height / 2;
         
-        // Listen for window resize events to recalculate dimensions
-        window.addEventListener('resize', this.onResize.bind(this));
+        const newScale = Math.min(Math.max(scale, 1), MAX_ZOOM);
+        const localX = (pointX - originX - view.x) / view.scale;
+        const localY = (pointY - originY - view.y) / view.scale;
+        view.x = pointX - originX - localX * newScale;
+        view.y = pointY - originY - localY * newScale;
+        view.scale = newScale;
         
-        // Add touch/swipe support for mobile devices
-        this.addTouchSupport();
+        clampPan();
+        applyView();
     }
     
-    // Calculate the stop sign's position as a percentage of the image width
-    getStopSignPositionPercent() {
-        // Safety check: ensure stop sign element exists
-        if (!this.stopSign) return 0;
+    // === SHOWING IMAGES ===
+    
+    // Show gallery image `index` of the open link
+    function showPhoto(index) {
+        photoIndex = (index + gallery.length) % gallery.length; // Wrap around both ends
+        const photo = gallery[photoIndex];
         
-        // Get the computed CSS styles for the stop sign element
-        const computedStyle = window.getComputedStyle(this.stopSign);
+        resetView();
         
-        // Get the 'left' CSS property value (e.g., "32%" or "200px")
-        const leftValue = computedStyle.getPropertyValue('left');
+        // Loading state until the (possibly large) image arrives
+        modal.classList.add('loading');
+        modal.setAttribute('aria-busy', 'true');
+        expandedImg.onload = expandedImg.onerror = () => {
+            modal.classList.remove('loading');
+            modal.setAttribute('aria-busy', 'false');
+        };
         
-        // Check if the value is in percentage format
-        if (leftValue.includes('%')) {
-            // Remove the '%' symbol and convert to number (e.g., "32%" -> 32)
-            return parseFloat(leftValue.replace('%', ''));
-        }
+        // Set the modal's image source and description to match the gallery image
+        expandedImg.src = photo.src;
+        expandedImg.alt = photo.alt || photo.caption || '';
+        caption.textContent = photo.caption || '';
+        description.textContent = photo.description || '';
+        counter.textContent = gallery.length > 1 ? `${photoIndex + 1} / ${gallery.length}` : '';
+        modal.setAttribute('aria-label', photo.caption || photo.alt || 'Expanded image');
         
-        // Fallback: if value is in pixels, convert to percentage
-        const leftPx = parseFloat(leftValue); // Convert pixel value to number
-        return (leftPx / this.displayedImageWidth) * 100; // Convert to percentage of image width
+        // Previous/next only make sense with more than one image
+        prevBtn.hidden = nextBtn.hidden = gallery.length < 2;
     }
     
-    // Add touch/swipe support for mobile devices
-    addTouchSupport() {
-        // Variables to track touch start and end positions
-        let touchStartX = 0; // X coordinate where touch started
-        let touchEndX = 0;   // X coordinate where touch ended
-        
-        // Listen for touch start events (user puts finger down)
-        document.addEventListener('touchstart', (e) => {
-            // Record the X coordinate where the touch started
-            // changedTouches[0] gives us the first touch point
-            touchStartX = e.changedTouches[0].screenX;
-        }, { passive: true }); // passive: true for better performance
-        
-        // Listen for touch end events (user lifts finger)
-        document.addEventListener('touchend', (e) => {
-            // Record the X coordinate where the touch ended
-            touchEndX = e.changedTouches[0].screenX;
-            
-            // Process the swipe gesture
-            this.handleSwipe(touchStartX, touchEndX);
-        }, { passive: true });
+    // Step through the gallery (direction 1 = next, -1 = previous)
+    function stepPhoto(direction) {
+        if (openIndex === null || gallery.length < 2) return;
+        showPhoto(photoIndex + direction);
+        modal.dispatchEvent(new CustomEvent('modalchange', { detail: { index: openIndex, photo: photoIndex } }));
     }
     
-    // Process swipe gestures and convert them to scroll actions
-    handleSwipe(startX, endX) {
-        // Minimum distance required to register as a swipe (50 pixels)
-        const swipeThreshold = 50;
+    // Show the gallery of the link at `index` in the modal, starting at image `photo`
+    function openModal(index, photo = 0) {
+        const link = getImageLinks()[index];
+        if (!link) return;
         
-        // Calculate total swipe distance (positive = right swipe, negative = left swipe)
-        const swipeDistance = endX - startX;
+        const wasOpen = openIndex !== null;
+        gallery = getGallery(link);
+        openIndex = index;
+        showPhoto(Math.min(Math.max(photo, 0), gallery.length - 1));
         
-        // Only process swipes that meet the minimum threshold
-        if (Math.abs(swipeDistance) > swipeThreshold) {
-            // Calculate how much to scroll (half the screen width)
-            const scrollAmount = window.innerWidth * 0.5;
+        if (!wasOpen) {
+            // Remember the exact road position before locking page scrolling
+            savedScrollY = window.pageYOffset;
             
-            // Determine swipe direction and scroll accordingly
-            if (swipeDistance > 0) {
-                // Swipe right = scroll backward (up the page)
-                window.scrollBy({ top: -scrollAmount, behavior: 'smooth' });
-            } else {
-                // Swipe left = scroll forward (down the page)
-                window.scrollBy({ top: scrollAmount, behavior: 'smooth' });
-            }
+            // Prevent page scrolling while modal is open, filling the scrollbar's space
+            // so the page behind doesn't shift sideways
+            const scrollbarWidth = window.innerWidth - document.documentElement.clientWidth;
+            document.body.style.overflow = 'hidden';
+            if (scrollbarWidth > 0) document.body.style.paddingRight = `${scrollbarWidth}px`;
+            
+            // Move focus into the dialog, remembering where to send it back
+            returnFocusTo = document.activeElement;
         }
+        
+        // Show the modal by adding 'active' CSS class
+        modal.classList.add('active');
+        modal.setAttribute('aria-hidden', 'false');
+        closeBtn.focus();
+        
+        modal.dispatchEvent(new CustomEvent('modalopen', {
+            detail: { index, photo: photoIndex, element: link.dataset.element, src: gallery[photoIndex].src }
+        }));
     }
     
-    // Calculate how big the image should appear based on screen size
-    calculateImageSize() {
-        // Get current browser window dimensions
-        const viewportHeight = window.innerHeight; // Height of visible browser area
-        const viewportWidth = window.innerWidth;   // Width of visible browser area
-        
-        // Calculate the aspect ratio of the original image
-        const imageAspectRatio = this.originalImageWidth / this.originalImageHeight;
+    // Hide the modal again
+    function closeModal() {
+        if (openIndex === null) return;
         
-        // Calculate image width to fit the full viewport height while maintaining aspect ratio
-        let calculatedWidth = (viewportHeight * imageAspectRatio);
+        // Hide modal by removing 'active' CSS class
+        modal.classList.remove('active');
+        modal.setAttribute('aria-hidden', 'true');
         
-        // === MOBILE OPTIMIZATION ===
-        // On narrow screens (mobile), limit the maximum width to prevent excessive scrolling
-        if (viewportWidth < 768) { // 768px is common tablet/mobile breakpoint
-            // Limit maximum width to 8 times the screen width
-            const maxMobileWidth = viewportWidth * 8;
-            // Use whichever is smaller: calculated width or mobile limit
-            calculatedWidth = Math.min(calculatedWidth, maxMobileWidth);
+        // Restore page scrolling, and put the page back exactly where the road was
+        document.body.style.overflow = '';
+        document.body.style.paddingRight = '';
+        if (window.pageYOffset !== savedScrollY) {
+            window.scrollTo(0, savedScrollY);
         }
         
-        // Store the final calculated width
-        this.displayedImageWidth = calculatedWidth;
-        
-        // Update all layer widths to match the calculated image size
-        this.updateLayerSizes();
+        openIndex = null;
+        resetView();
         
-        // Debug logging to help understand the calculations
-        console.log('Viewport:', viewportWidth, 'x', viewportHeight);
-        console.log('Displayed image width:', this.displayedImageWidth);
+        // Return focus to whatever opened the modal
+        if (returnFocusTo && typeof returnFocusTo.focus === 'function') {
+            returnFocusTo.focus({ preventScroll: true });
+        }
+        returnFocusTo = null;
+        modal.dispatchEvent(new CustomEvent('modalclose'));
     }
     
-    // Update the CSS width of all parallax layers to match the image size
-    updateLayerSizes() {
-        // Set width for background layer (if it exists)
-        if (this.backgroundLayer) {
-            this.backgroundLayer.style.width = `${this.displayedImageWidth}px`;
+    // === OPEN IMAGES ON CLICK ===
+    // One listener for every image link on the page, including ones added later
+    document.addEventListener('click', function(e) {
+        const link = e.target instanceof Element ? e.target.closest('.image-link') : null;
+        if (!link || e.defaultPrevented) return;
+        // Prevent the default link behavior (don't navigate)
+        e.preventDefault();
+        openModal(getImageLinks().indexOf(link));
+    });
+    
+    // === GALLERY BUTTONS ===
+    prevBtn.addEventListener('click', () => stepPhoto(-1));
+    nextBtn.addEventListener('click', () => stepPhoto(1));
+    
+    // === CLOSE MODAL WITH X BUTTON ===
+    // Add click listener to the close button
+    closeBtn.addEventListener('click', closeModal);
+    
+    // === CLOSE MODAL BY CLICKING OUTSIDE IMAGE ===
+    // Add click listener to the modal container
+    modal.addEventListener('click', function(e) {
+        // Only close if user clicked the modal background (not the image itself)
+        if (e.target === modal) {
+            closeModal();
         }
-        
-        // Set width for middle layer (if it exists)
-        if (this.middleLayer) {
-            this.middleLayer.style.width = `${this.displayedImageWidth}px`;
+    });
+    
+    // === KEYBOARD: CLOSE, BROWSE AND ZOOM ===
+    // Add keyboard listener for escape key
+    document.addEventListener('keydown', function(e) {
+        // Check if escape key was pressed AND modal is currently open
+        if (e.key === 'Escape' && openIndex !== null) {
+            closeModal();
         }
-        
-        // Set width for foreground layer (if it exists)
-        if (this.foregroundLayer) {
-            this.foregroundLayer.style.width = `${this.displayedImageWidth}px`;
+    });
+    
+    modal.addEventListener('keydown', function(e) {
+        if (openIndex === null || e.altKey || e.ctrlKey || e.metaKey) return;
+        switch (e.key) {
+            case 'ArrowLeft':
+                stepPhoto(-1);
+                break;
+            case 'ArrowRight':
+                stepPhoto(1);
+                break;
+            case '+':
+            case '=':
+                zoomTo(view.scale * 1.5);
+                break;
+            case '-':
+                zoomTo(view.scale / 1.5);
+                break;
+            case '0':
+                resetView();
+                break;
+            default:
+                return;
         }
-    }
+        e.preventDefault();
+    });
     
-    // Calculate how much scrolling area we need and set up the document height
-    calculateScrollArea() {
-        // Calculate maximum distance layers need to move
-        // This is the image width minus viewport width (how much is "hidden" off-screen)
-        const calculatedMaxScroll = Math.max(this.displayedImageWidth - window.innerWidth, 0);
-        
-        // Set a custom limit to prevent excessive scrolling
-        const customScrollLimit = 3000; // Maximum scroll distance in pixels - adjust this as needed
-        
-        // Use whichever is smaller: calculated scroll distance or our custom limit
-        this.maxScroll = Math.min(calculatedMaxScroll, customScrollLimit);
-        
-        // Set the document height to create the right amount of scrollable space
-        // We add window.innerHeight so the page has content that fills the screen
-        document.documentElement.style.height = `${this.maxScroll + window.innerHeight}px`;
-        
-        // Debug logging to understand scroll calculations
-        console.log('Calculated max scroll:', calculatedMaxScroll);
-        console.log('Limited max scroll:', this.maxScroll);
+    // === WHEEL ZOOM ===
+    viewport.addEventListener('wheel', function(e) {
+        if (openIndex === null) return;
+        e.preventDefault();
+        zoomTo(view.scale * Math.exp(-e.deltaY * 0.002), e.clientX, e.clientY);
+    }, { passive: false });
+    
+    // Double click/tap toggles between the whole image and 2x at that point
+    viewport.addEventListener('dblclick', function(e) {
+        if (view.scale > 1) resetView();
+        else zoomTo(2, e.clientX, e.clientY);
+    });
+    
+    // === PINCH ZOOM, PAN AND SWIPE ===
+    // One pointer pans a zoomed image or swipes between images; two pointers pinch
+    const pointers = new Map(); // pointerId -> { x, y }
+    let gesture = null;
+    
+    // Distance and midpoint of the two active pointers
+    function pinchState() {
+        const [a, b] = Array.from(pointers.values());
+        return {
+            distance: Math.hypot(a.x - b.x, a.y - b.y),
+            x: (a.x + b.x) / 2,
+            y: (a.y + b.y) / 2
+        };
     }
     
-    // Main scroll event handler - this runs every time the user scrolls
-    onScroll() {
-        // Get current scroll position (how far down the page we've scrolled)
-        const scrollTop = window.pageYOffset;
+    viewport.addEventListener('pointerdown', function(e) {
+        pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        if (viewport.setPointerCapture) viewport.setPointerCapture(e.pointerId);
         
-        // Calculate scroll progress as a value between 0 and 1
-        // 0 = at top of page, 1 = scrolled to maximum distance
-        const scrollProgress = this.maxScroll > 0 ? Math.min(scrollTop / this.maxScroll, 1) : 0;
-        
-        // === CALCULATE MOVEMENT DISTANCES FOR EACH LAYER ===
-        // Base distance: how far to move if parallax speed is 1.0
-        const baseMoveDistance = scrollProgress * this.maxScroll;
-        
-        // Calculate actual movement for each layer using their parallax speeds
-        const backgroundMoveDistance = baseMoveDistance * this.parallaxSpeeds.background; // Moves slowest
-        const middleMoveDistance = baseMoveDistance * this.parallaxSpeeds.middle;         // Moves at normal speed
-        const foregroundMoveDistance = baseMoveDistance * this.parallaxSpeeds.foreground; // Moves fastest
-        
-        // === APPLY TRANSFORMS TO MOVE EACH LAYER ===
-        // Move background layer (translateX with negative value moves left)
-        if (this.backgroundLayer) {
-            this.backgroundLayer.style.transform = `translateX(-${backgroundMoveDistance}px)`;
+        if (pointers.size === 2) {
+            gesture = { type: 'pinch', startScale: view.scale, ...pinchState() };
+        } else if (pointers.size === 1) {
+            gesture = { type: 'drag', startX: e.clientX, startY: e.clientY, viewX: view.x, viewY: view.y };
         }
+    });
+    
+    viewport.addEventListener('pointermove', function(e) {
+        if (!pointers.has(e.pointerId) || !gesture) return;
+        pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
         
-        // Move middle layer
-        if (this.middleLayer) {
-            this.middleLayer.style.transform = `translateX(-${middleMoveDistance}px)`;
+        if (gesture.type === 'pinch' && pointers.size === 2) {
+            const current = pinchState();
+            zoomTo(gesture.startScale * (current.distance / gesture.distance), current.x, current.y);
+        } else if (gesture.type === 'drag' && view.scale > 1) {
+            // Pan the zoomed image with the pointer
+            view.x = gesture.viewX + (e.clientX - gesture.startX);
+            view.y = gesture.viewY + (e.clientY - gesture.startY);
+            clampPan();
+            applyView();
         }
+    });
+    
+    function endPointer(e) {
+        if (!pointers.has(e.pointerId)) return;
+        pointers.delete(e.pointerId);
         
-        // Move foreground layer
-        if (this.foregroundLayer) {
-            this.foregroundLayer.style.transform = `translateX(-${foregroundMoveDistance}px)`;
+        // A quick horizontal swipe on an unzoomed image browses the gallery
+        if (gesture && gesture.type === 'drag' && view.scale === 1 && e.type === 'pointerup') {
+            const dx = e.clientX - gesture.startX;
+            const dy = e.clientY - gesture.startY;
+            if (Math.abs(dx) > 50 && Math.abs(dx) > Math.abs(dy)) {
+                stepPhoto(dx < 0 ? 1 : -1);
+            }
         }
-        
-        // Check if truck has reached the stop sign (using middle layer distance since stop sign is in middle layer)
-        this.checkTruckStopSignCollision(middleMoveDistance);
+        gesture = null;
     }
+    viewport.addEventListener('pointerup', endPointer);
+    viewport.addEventListener('pointercancel', endPointer);
     
-    // Check if the fixed truck has "collided" with the moving stop sign
-    checkTruckStopSignCollision(moveDistance) {
-        // Get stop sign position as percentage of image width (from CSS)
-        const stopSignPositionPercent = this.getStopSignPositionPercent();
+    // === KEEP FOCUS INSIDE THE OPEN MODAL ===
+    // Tab and Shift+Tab wrap around the modal's controls instead of reaching the page behind
+    modal.addEventListener('keydown', function(e) {
+        if (e.key !== 'Tab' || openIndex === null) return;
         
-        // Convert percentage to actual pixel position
-        const stopSignPositionPx = (stopSignPositionPercent / 100) * this.displayedImageWidth;
+        const focusable = Array.from(modal.querySelectorAll(
+            'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'
+        )).filter(el => !el.disabled && !el.hidden && el.offsetParent !== null);
+        if (focusable.length === 0) return;
         
-        // Calculate trigger point: 650 pixels before the stop sign
-        // This creates a "collision zone" so animations trigger before the truck reaches the sign
-        const triggerPoint = stopSignPositionPx - 650;
-        
-        // Check if we should trigger animations (truck moving forward and reaching trigger point)
-        if (!this.hasTriggeredAnimation && moveDistance >= triggerPoint) {
-            // Trigger all the animations
-            this.triggerAnimations();
-            // Mark that we've triggered them so we don't trigger again
-            this.hasTriggeredAnimation = true;
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        if (e.shiftKey && document.activeElement === first) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
         }
-        // Check if we should reset animations (truck moving backward past trigger point)
-        else if (this.hasTriggeredAnimation && moveDistance < triggerPoint) {
-            // Reset all animations back to initial state
-            this.resetAnimations();
-            // Mark that we haven't triggered them so they can trigger again if we move forward
-            this.hasTriggeredAnimation = false;
+    });
+    
+    // Focus that lands outside the modal while it's open is pulled back in
+    document.addEventListener('focusin', function(e) {
+        if (openIndex !== null && !modal.contains(e.target)) {
+            closeBtn.focus();
         }
+    });
+    
+    return {
+        open: openModal,
+        close: closeModal,
+        getOpenIndex: () => openIndex,
+        getPhotoIndex: () => photoIndex,
+        element: modal
+    };
+}
+
+// ==============================================================================
+// DEEP LINKING
+// ==============================================================================
+// Keeps the URL hash in sync with where the truck is and which image is open:
+//   #stop=cyber-plaza        parked at a waypoint
+//   #progress=0.425          anywhere else along the route (0-1)
+//   &img=2                   image modal open on the 2nd image link (1-based)
+//   &photo=3                 ...showing the 3rd image of its gallery (left out for the 1st)
+// Reaching a waypoint adds a history entry, so browser back/forward drives the
+// truck between visited stops; opening the modal adds one too, so back closes it.
+
+// Read the hash into { stop, progress, img, photo }; missing or invalid values are null
+function parseLocationHash(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    const progress = parseFloat(params.get('progress'));
+    const img = parseInt(params.get('img'), 10);
+    const photo = parseInt(params.get('photo'), 10);
+    return {
+        stop: params.get('stop'),
+        progress: isFinite(progress) ? Math.min(Math.max(progress, 0), 1) : null,
+        img: img > 0 ? img : null,
+        photo: photo > 0 ? photo : null
+    };
+}
+
+// Build a hash string from { stop, progress, img, photo }
+function formatLocationHash({ stop, progress, img, photo }) {
+    const params = new URLSearchParams();
+    if (stop) params.set('stop', stop);
+    else if (progress !== null && progress !== undefined) params.set('progress', progress.toFixed(3));
+    if (img) params.set('img', img);
+    if (img && photo > 1) params.set('photo', photo);
+    return `#${params.toString()}`;
+}
+
+function setupDeepLinking(scroller, imageModal) {
+    // True while we're moving the truck to match the URL, so we don't write it back.
+    // Starts true until restore() has read the URL: scrolling (or the browser restoring
+    // the old offset) while the artwork loads would otherwise overwrite a shared link
+    let applyingHash = !scroller.isReady;
+    
+    // Describe the current position and modal state as hash values
+    function currentHashState() {
+        const waypoint = scroller.getParkedWaypoint();
+        const openIndex = imageModal.getOpenIndex();
+        return {
+            stop: waypoint ? waypoint.config.id : null,
+            progress: scroller.maxScroll > 0 ? scroller.targetDistance / scroller.maxScroll : 0,
+            img: openIndex !== null ? openIndex + 1 : null,
+            photo: openIndex !== null ? imageModal.getPhotoIndex() + 1 : null
+        };
     }
     
-    // Trigger all animations when truck reaches stop sign
-    triggerAnimations() {
-        // Make stop sign fully visible (add 'active' CSS class)
-        if (this.stopSign) {
-            this.stopSign.classList.add('active');
+    // Write the current state (or an override of parts of it) to the URL,
+    // as a new history entry or in place
+    function writeHash(push, overrides) {
+        if (applyingHash) return;
+        const hash = formatLocationHash({ ...currentHashState(), ...overrides });
+        if (hash === window.location.hash) return;
+        if (push) {
+            history.pushState(null, '', hash);
+        } else {
+            history.replaceState(null, '', hash);
         }
+    }
+    
+    // Move the truck and modal to match the URL
+    // fromHistory: back/forward navigation, which animates and treats no position as the start
+    function applyHash(fromHistory) {
+        const { stop, progress, img, photo } = parseLocationHash(window.location.hash);
+        const options = fromHistory ? {} : { duration: 0 };
         
-        // Show blue arrow gif (add 'active' CSS class)
-        if (this.blueArrow) {
-            this.blueArrow.classList.add('active');
+        applyingHash = true;
+        let move = Promise.resolve();
+        if (stop && scroller.getWaypoint(stop)) {
+            move = scroller.goToWaypoint(stop, options);
+        } else if (progress !== null || fromHistory) {
+            move = scroller.scrollToProgress(progress || 0, options);
         }
         
-        // Activate cyber plaza images: add borders and expand them
-        if (this.cyberPlaza1) {
-            this.cyberPlaza1.classList.add('active');   // Add border effect
-            this.cyberPlaza1.classList.add('expanded'); // Make image larger
+        if (img) {
+            imageModal.open(img - 1, (photo || 1) - 1);
+        } else {
+            imageModal.close();
         }
-        
-        if (this.cyberPlaza2) {
-            this.cyberPlaza2.classList.add('active');   // Add border effect
-            this.cyberPlaza2.classList.add('expanded'); // Make image larger
+        move.then(() => { applyingHash = false; });
+    }
+    
+    // === KEEP THE URL UP TO DATE ===
+    const pushHash = () => writeHash(true);
+    const replaceHash = () => writeHash(false);
+    scroller.addEventListener('waypointenter', (e) => writeHash(true, { stop: e.detail.id }));
+    // Settling updates the entry in place, except an entry for a stop the truck has left:
+    // that one stays in history so Back/Forward can return to it
+    scroller.addEventListener('settle', () => {
+        const { stop } = parseLocationHash(window.location.hash);
+        writeHash(Boolean(stop) && stop !== currentHashState().stop);
+    });
+    imageModal.element.addEventListener('modalopen', pushHash);
+    imageModal.element.addEventListener('modalchange', replaceHash);
+    imageModal.element.addEventListener('modalclose', replaceHash);
+    
+    // === BROWSER BACK/FORWARD ===
+    const onPopState = () => applyHash(true);
+    window.addEventListener('popstate', onPopState);
+    
+    // === UNHOOK WITH THE SCROLLER ===
+    // The modal and window outlive a destroyed scroller
+    scroller.addEventListener('destroy', () => {
+        imageModal.element.removeEventListener('modalopen', pushHash);
+        imageModal.element.removeEventListener('modalchange', replaceHash);
+        imageModal.element.removeEventListener('modalclose', replaceHash);
+        window.removeEventListener('popstate', onPopState);
+        if ('scrollRestoration' in history) history.scrollRestoration = 'auto';
+    }, { once: true });
+    
+    // === RESTORE ON LOAD ===
+    // The scroller has measured the image and scroll area by the time it's ready
+    const restore = () => {
+        // Our position wins over the browser restoring the old scroll offset
+        const { stop, progress } = parseLocationHash(window.location.hash);
+        if ((stop || progress !== null) && 'scrollRestoration' in history) {
+            history.scrollRestoration = 'manual';
         }
-        
-        // Debug logging
-        console.log('Truck reached stop sign! Blue arrow gif and cyber plaza borders triggered.');
+        applyHash(false);
+    };
+    if (scroller.isReady) {
+        restore();
+    } else {
+        scroller.addEventListener('ready', restore, { once: true });
+    }
+}
+
+// ==============================================================================
+// AUDIO
+// ==============================================================================
+// An engine that revs with the truck's speed (the same eased velocity the wheels turn
+// with) and a cue when the truck reaches a waypoint, panned toward where the waypoint is
+// on screen. Sound starts muted; the .audio-toggle button turns it on and off, and the
+// choice is saved for the next visit. Browsers only allow audio after a user gesture,
+// so a saved "on" takes effect at the first click or key press.
+
+// localStorage key for the saved mute setting
+const AUDIO_MUTED_KEY = 'parallax-scroller-muted';
+
+// Seconds the engine takes to follow a change in speed
+const ENGINE_RESPONSE = 0.15;
+
+function setupAudio(scroller) {
+    const toggle = document.querySelector('.audio-toggle');
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!toggle) return;
+    if (!AudioContextClass) {
+        toggle.hidden = true; // No Web Audio, nothing to switch on
+        return;
     }
     
-    // Reset all animations back to initial state
-    resetAnimations() {
-        // Hide stop sign (remove 'active' CSS class, returns to lower opacity)
-        if (this.stopSign) {
-            this.stopSign.classList.remove('active');
+    const settings = scroller.scene.audio || {};
+    const volume = settings.volume !== undefined ? settings.volume : 0.6;
+    
+    let context = null; // Created on the first user gesture with sound on
+    let master = null;  // Overall level, 0 while muted
+    let engine = null;  // { output, setSpeed(speed 0-1) }
+    let muted = readMuted();
+    const clips = new Map(); // url -> Promise of the decoded AudioBuffer (null if it failed)
+    
+    // === SAVED SETTING ===
+    // Anything but an explicit "false" (including storage being unavailable) means muted
+    function readMuted() {
+        try {
+            return localStorage.getItem(AUDIO_MUTED_KEY) !== 'false';
+        } catch (error) {
+            return true;
         }
-        
-        // Hide blue arrow gif (remove 'active' CSS class)
-        if (this.blueArrow) {
-            this.blueArrow.classList.remove('active');
+    }
+    
+    function saveMuted() {
+        try {
+            localStorage.setItem(AUDIO_MUTED_KEY, String(muted));
+        } catch (error) {
+            // Private browsing etc.: the setting just isn't remembered
         }
-        
-        // Reset cyber plaza images: remove borders and return to normal size
-        if (this.cyberPlaza1) {
-            this.cyberPlaza1.classList.remove('active');   // Remove border effect
-            this.cyberPlaza1.classList.remove('expanded'); // Return to normal size
+    }
+    
+    // === AUDIO GRAPH ===
+    // Build the graph the first time sound is switched on
+    function start() {
+        if (context) {
+            if (context.state === 'suspended') context.resume();
+            return;
         }
+        context = new AudioContextClass();
+        master = context.createGain();
+        master.gain.value = 0;
+        master.connect(context.destination);
+        engine = createEngine();
+    }
+    
+    // An engine loop from the scene's clip, or a synthesized one: two detuned oscillators
+    // through a low-pass filter that opens up as the truck speeds up
+    function createEngine() {
+        const output = context.createGain();
+        output.gain.value = 0;
+        output.connect(master);
         
-        if (this.cyberPlaza2) {
-            this.cyberPlaza2.classList.remove('active');   // Remove border effect
-            this.cyberPlaza2.classList.remove('expanded'); // Return to normal size
+        if (settings.engine) {
+            const source = context.createBufferSource();
+            source.loop = true;
+            source.connect(output);
+            loadClip(settings.engine).then(buffer => {
+                if (buffer && context) {
+                    source.buffer = buffer;
+                    source.start();
+                }
+            });
+            return {
+                output,
+                setSpeed(speed) {
+                    source.playbackRate.setTargetAtTime(0.8 + speed * 0.8, context.currentTime, ENGINE_RESPONSE);
+                }
+            };
         }
         
-        // Debug logging
-        console.log('Truck moved back! Blue arrow gif and cyber plaza borders hidden.');
+        const filter = context.createBiquadFilter();
+        filter.type = 'lowpass';
+        filter.frequency.value = 300;
+        filter.connect(output);
+        
+        const rumble = context.createOscillator();
+        rumble.type = 'sawtooth';
+        rumble.frequency.value = 45;
+        rumble.connect(filter);
+        
+        const whine = context.createOscillator();
+        const whineLevel = context.createGain();
+        whine.type = 'square';
+        whine.frequency.value = 92;
+        whineLevel.gain.value = 0.25;
+        whine.connect(whineLevel);
+        whineLevel.connect(filter);
+        
+        rumble.start();
+        whine.start();
+        return {
+            output,
+            setSpeed(speed) {
+                const now = context.currentTime;
+                rumble.frequency.setTargetAtTime(45 + speed * 70, now, ENGINE_RESPONSE);
+                whine.frequency.setTargetAtTime(92 + speed * 143, now, ENGINE_RESPONSE);
+                filter.frequency.setTargetAtTime(300 + speed * 900, now, ENGINE_RESPONSE);
+            }
+        };
     }
     
-    // Handle window resize events
-    onResize() {
-        // Recalculate image size for new window dimensions
-        this.calculateImageSize();
+    // Fetch and decode a clip once; failures are logged and play nothing
+    function loadClip(url) {
+        if (!clips.has(url)) {
+            clips.set(url, fetch(url)
+                .then(response => {
+                    if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+                    return response.arrayBuffer();
+                })
+                .then(data => new Promise((resolve, reject) => context.decodeAudioData(data, resolve, reject)))
+                .catch(error => {
+                    console.warn(`Could not load audio "${url}":`, error);
+                    return null;
+                }));
+        }
+        return clips.get(url);
+    }
+    
+    // === ENGINE ===
+    // Idle rumble when parked, louder and higher the faster the truck goes
+    function setEngineSpeed(speed) {
+        if (!engine) return;
+        engine.setSpeed(speed);
+        engine.output.gain.setTargetAtTime(0.15 + speed * 0.35, context.currentTime, ENGINE_RESPONSE);
+    }
+    
+    // === WAYPOINT CUES ===
+    // Play a waypoint's clip (or a two-note chime), panned to where it is relative to the truck
+    function playCue(waypoint) {
+        if (muted || !context) return;
         
-        // Recalculate scroll area for new dimensions
-        this.calculateScrollArea();
+        const halfWidth = scroller.getViewportSize().width / 2;
+        const pan = Math.max(-1, Math.min(1, scroller.getWaypointOffset(waypoint) / halfWidth));
+        let destination = master;
+        if (context.createStereoPanner) {
+            const panner = context.createStereoPanner();
+            panner.pan.value = pan;
+            panner.connect(master);
+            destination = panner;
+        }
         
-        // Update current position based on new calculations
-        this.onScroll();
+        if (waypoint.config.audio) {
+            loadClip(waypoint.config.audio).then(buffer => {
+                if (!buffer || muted || !context) return;
+                const source = context.createBufferSource();
+                source.buffer = buffer;
+                source.connect(destination);
+                source.start();
+            });
+            return;
+        }
         
-        // Reset animation state to prevent issues after resize
-        this.resetAnimationState();
+        [660, 880].forEach((frequency, index) => {
+            const startAt = context.currentTime + index * 0.15;
+            const tone = context.createOscillator();
+            const envelope = context.createGain();
+            tone.frequency.value = frequency;
+            envelope.gain.setValueAtTime(0, startAt);
+            envelope.gain.linearRampToValueAtTime(0.4, startAt + 0.02);
+            envelope.gain.exponentialRampToValueAtTime(0.001, startAt + 0.6);
+            tone.connect(envelope);
+            envelope.connect(destination);
+            tone.start(startAt);
+            tone.stop(startAt + 0.6);
+        });
     }
     
-    // Reset animation state (used during resize)
-    resetAnimationState() {
-        // Mark animations as not triggered
-        this.hasTriggeredAnimation = false;
-        
-        // Reset all visual animations to initial state
-        this.resetAnimations();
+    // === MUTE TOGGLE ===
+    function showState() {
+        toggle.setAttribute('aria-pressed', String(!muted));
+        toggle.classList.toggle('is-on', !muted);
+    }
+    
+    // Switch sound on or off (only call from a user gesture when switching on)
+    function setMuted(value) {
+        muted = value;
+        if (!muted) start();
+        if (master) master.gain.setTargetAtTime(muted ? 0 : volume, context.currentTime, 0.05);
+        showState();
     }
+    
+    const onToggle = () => {
+        setMuted(!muted);
+        saveMuted();
+    };
+    toggle.addEventListener('click', onToggle);
+    
+    // A saved "on" waits for the first gesture the browser will allow audio from
+    const unlock = (e) => {
+        if (e.target instanceof Element && e.target.closest('.audio-toggle')) return; // handled by the toggle
+        document.removeEventListener('pointerdown', unlock, true);
+        document.removeEventListener('keydown', unlock, true);
+        if (!muted) setMuted(false);
+    };
+    document.addEventListener('pointerdown', unlock, true);
+    document.addEventListener('keydown', unlock, true);
+    
+    toggle.hidden = false;
+    showState();
+    
+    // === FOLLOW THE SCROLLER ===
+    // progress velocity is px per 60fps frame; 30 is flat out (as for the suspension)
+    const onProgress = (e) => setEngineSpeed(Math.min(Math.abs(e.detail.velocity) / 30, 1));
+    const onSettle = () => setEngineSpeed(0);
+    const onWaypointEnter = (e) => playCue(scroller.getWaypoint(e.detail.id));
+    scroller.addEventListener('progress', onProgress);
+    scroller.addEventListener('settle', onSettle);
+    scroller.addEventListener('waypointenter', onWaypointEnter);
+    
+    // === UNHOOK WITH THE SCROLLER ===
+    scroller.addEventListener('destroy', () => {
+        toggle.removeEventListener('click', onToggle);
+        document.removeEventListener('pointerdown', unlock, true);
+        document.removeEventListener('keydown', unlock, true);
+        scroller.removeEventListener('progress', onProgress);
+        scroller.removeEventListener('settle', onSettle);
+        scroller.removeEventListener('waypointenter', onWaypointEnter);
+        if (context) context.close();
+        context = null;
+        engine = null;
+        master = null;
+    }, { once: true });
 }
 
 // ==============================================================================
-// INITIALIZATION AND IMAGE MODAL FUNCTIONALITY
+// ANALYTICS
 // ==============================================================================
+// Records how far people drive and what they open: the furthest progress reached,
+// waypoint enter/leave counts and time spent at each one, image modal opens, and where
+// the visit ended (drop-off). Events are queued and sent in batches to a sink:
+//   'console'        - logged with console.info
+//   'localStorage'   - appended to the list stored under storageKey
+//   a URL            - POSTed as JSON ({ events: [...] }); sendBeacon when the page is closing
+//   a function       - called with each batch (may return a Promise)
+// A batch that can't be sent (offline, endpoint down) is kept in localStorage and sent
+// with the next one. Nothing is recorded while doNotTrack is on or the browser's
+// Do Not Track setting is.
+//
+// The page turns it on with <div class="parallax-scene" data-analytics="localStorage">
+// (or console / a URL); apps can call setupAnalytics() with any options below.
 
-// Initialize everything when the DOM is fully loaded
-document.addEventListener('DOMContentLoaded', () => {
-    // Create and start the parallax scroller
-    new HorizontalParallaxScroller();
-    
-    // Set up the image expansion modal functionality
-    setupImageExpansion();
-});
+const DEFAULT_ANALYTICS = {
+    sink: 'console',
+    batchSize: 20,          // Send once this many events are queued...
+    flushInterval: 15000,   // ...or this often (ms)
+    storageKey: 'parallax-scroller-analytics', // localStorage sink and unsent batches
+    maxStored: 1000,        // Oldest events are dropped beyond this many stored
+    doNotTrack: false,      // Switch tracking off entirely
+    respectBrowserDoNotTrack: true
+};
 
-// Function to handle clicking on images to expand them in a modal
-function setupImageExpansion() {
-    // === GET MODAL ELEMENTS ===
-    // Get references to modal elements from the DOM
-    const modal = document.getElementById('image-modal');        // The modal overlay container
-    const expandedImg = document.getElementById('expanded-image'); // The large image inside modal
-    const closeBtn = document.querySelector('.close-modal');     // The X button to close modal
-    const imageLinks = document.querySelectorAll('.image-link'); // All clickable image links
-    
-    // === ADD CLICK LISTENERS TO IMAGES ===
-    // Add click event listener to each image link
-    imageLinks.forEach(link => {
-        link.addEventListener('click', function(e) {
-            // Prevent the default link behavior (don't navigate)
-            e.preventDefault();
-            
-            // Find the img element inside this link
-            const img = link.querySelector('img');
-            
-            // Set the modal's image source to match the clicked image
-            expandedImg.src = img.src;
-            
-            // Show the modal by adding 'active' CSS class
-            modal.classList.add('active');
-            
-            // Prevent page scrolling while modal is open
-            document.body.style.overflow = 'hidden';
-        });
+// Send a batch of events to a sink; resolves once delivered, rejects if it couldn't be.
+// keepalive lets a POST outlive the page, but browsers refuse such bodies over 64 KiB,
+// so it's only used for the last batch of a visit
+function sendAnalytics(sink, events, storageKey, maxStored, keepalive = false) {
+    if (typeof sink === 'function') {
+        // Called inside the chain so a sink that throws rejects like one that fails
+        return Promise.resolve().then(() => sink(events));
+    }
+    if (sink === 'console') {
+        console.info('[parallax analytics]', events);
+        return Promise.resolve();
+    }
+    if (sink === 'localStorage') {
+        const stored = readStoredEvents(storageKey);
+        writeStoredEvents(storageKey, stored.concat(events).slice(-maxStored));
+        return Promise.resolve();
+    }
+    return fetch(sink, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ events }),
+        keepalive
+    }).then(response => {
+        if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
     });
+}
+
+// Events saved in localStorage under `key` ([] if none or unreadable)
+function readStoredEvents(key) {
+    try {
+        const stored = JSON.parse(localStorage.getItem(key) || '[]');
+        return Array.isArray(stored) ? stored : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+function writeStoredEvents(key, events) {
+    try {
+        if (events.length > 0) {
+            localStorage.setItem(key, JSON.stringify(events));
+        } else {
+            localStorage.removeItem(key);
+        }
+    } catch (error) {
+        // Storage full or unavailable: the events are lost
+    }
+}
+
+// Start tracking a scroller (and its image modal, if given). Returns
+// { track(type, data), flush(), setDoNotTrack(on) }, or null while Do Not Track applies
+function setupAnalytics(scroller, imageModal, options = {}) {
+    const settings = { ...DEFAULT_ANALYTICS, ...options };
+    const browserDoNotTrack = navigator.doNotTrack === '1' || window.doNotTrack === '1';
+    if (settings.respectBrowserDoNotTrack && browserDoNotTrack) return null;
     
-    // === CLOSE MODAL WITH X BUTTON ===
-    // Add click listener to the close button
-    closeBtn.addEventListener('click', function() {
-        // Hide modal by removing 'active' CSS class
-        modal.classList.remove('active');
+    const isRemote = typeof settings.sink === 'string' && !['console', 'localStorage'].includes(settings.sink);
+    const pendingKey = `${settings.storageKey}-pending`; // Batches that failed to send
+    const session = Math.random().toString(36).slice(2, 10);
+    const startedAt = Date.now();
+    
+    let doNotTrack = settings.doNotTrack;
+    let queue = [];
+    let sending = false;
+    let ended = false;
+    
+    // === SUMMARY STATE ===
+    let maxProgress = 0;
+    let nextMilestone = 0.25;               // Next progress quarter to report
+    const waypointStats = new Map();        // id -> { enters, leaves, time, nearSince }
+    const imageOpens = new Map();           // element id -> opens
+    
+    function statsFor(id) {
+        if (!waypointStats.has(id)) waypointStats.set(id, { enters: 0, leaves: 0, time: 0, nearSince: null });
+        return waypointStats.get(id);
+    }
+    
+    // === QUEUE ===
+    // Add an event to the queue, sending the batch once it's full
+    function track(type, data = {}) {
+        if (doNotTrack) return;
+        queue.push({ type, session, time: Date.now(), ...data });
+        if (queue.length >= settings.batchSize) flush();
+    }
+    
+    // Send everything queued, plus any batches that failed before (keepalive: the page
+    // is closing). On failure the events wait in localStorage for the next try.
+    function flush(keepalive = false) {
+        if (sending || doNotTrack) return Promise.resolve();
+        const events = readStoredEvents(pendingKey).concat(queue);
+        queue = [];
+        if (events.length === 0) return Promise.resolve();
+        writeStoredEvents(pendingKey, []);
         
-        // Restore page scrolling
-        document.body.style.overflow = '';
-    });
+        sending = true;
+        return sendAnalytics(settings.sink, events, settings.storageKey, settings.maxStored, keepalive)
+            .catch(error => {
+                console.warn('Could not send analytics, keeping them for later:', error);
+                const pending = readStoredEvents(pendingKey);
+                writeStoredEvents(pendingKey, events.concat(pending).slice(-settings.maxStored));
+            })
+            .then(() => { sending = false; });
+    }
     
-    // === CLOSE MODAL BY CLICKING OUTSIDE IMAGE ===
-    // Add click listener to the modal container
-    modal.addEventListener('click', function(e) {
-        // Only close if user clicked the modal background (not the image itself)
-        if (e.target === modal) {
-            // Hide modal
-            modal.classList.remove('active');
-            
-            // Restore page scrolling
-            document.body.style.overflow = '';
+    // Last chance while the page is closing: a beacon for endpoints, a normal send otherwise
+    function flushOnExit() {
+        if (doNotTrack) return;
+        if (isRemote && navigator.sendBeacon) {
+            const events = readStoredEvents(pendingKey).concat(queue);
+            queue = [];
+            if (events.length === 0) return;
+            const body = new Blob([JSON.stringify({ events })], { type: 'application/json' });
+            if (navigator.sendBeacon(settings.sink, body)) {
+                writeStoredEvents(pendingKey, []);
+            } else {
+                writeStoredEvents(pendingKey, events.slice(-settings.maxStored));
+            }
+            return;
         }
-    });
+        flush(true);
+    }
     
-    // === CLOSE MODAL WITH ESCAPE KEY ===
-    // Add keyboard listener for escape key
-    document.addEventListener('keydown', function(e) {
-        // Check if escape key was pressed AND modal is currently open
-        if (e.key === 'Escape' && modal.classList.contains('active')) {
-            // Hide modal
-            modal.classList.remove('active');
-            
-            // Restore page scrolling
-            document.body.style.overflow = '';
+    // Record where the visit ended and a summary of it (once per visit)
+    function endSession(reason) {
+        if (ended) return;
+        ended = true;
+        const now = Date.now();
+        const waypoints = {};
+        waypointStats.forEach((stats, id) => {
+            // Count the time so far at a waypoint the truck is still near
+            if (stats.nearSince !== null) {
+                stats.time += now - stats.nearSince;
+                stats.nearSince = now;
+            }
+            waypoints[id] = { enters: stats.enters, leaves: stats.leaves, time: stats.time };
+        });
+        track('session_end', {
+            reason,
+            progress: scroller.scrollProgress,
+            maxProgress,
+            duration: now - startedAt,
+            waypoints,
+            imageOpens: Object.fromEntries(imageOpens)
+        });
+        flushOnExit();
+    }
+    
+    // Time near a waypoint runs while the truck is within its zone (from its stop until
+    // it has passed behind the truck); a waypoint stays active long after that
+    function updateNearWaypoints(distance) {
+        const now = Date.now();
+        scroller.waypoints.forEach(waypoint => {
+            const { id } = waypoint.config;
+            const zone = scroller.getWaypointZone(waypoint);
+            const near = distance >= zone.start && distance <= zone.end;
+            const stats = statsFor(id);
+            if (near && stats.nearSince === null) {
+                stats.nearSince = now;
+            } else if (!near && stats.nearSince !== null) {
+                const time = now - stats.nearSince;
+                stats.time += time;
+                stats.nearSince = null;
+                track('waypoint_dwell', { waypoint: id, time });
+            }
+        });
+    }
+    
+    // === SCROLLER EVENTS ===
+    const onProgress = (e) => {
+        maxProgress = Math.max(maxProgress, e.detail.progress);
+        // Report each quarter of the route the first time it's reached
+        while (maxProgress >= nextMilestone - 0.0005 && nextMilestone <= 1) {
+            track('progress_milestone', { milestone: nextMilestone });
+            nextMilestone += 0.25;
         }
-    });
+        if (!ended) updateNearWaypoints(e.detail.distance);
+    };
+    const onWaypointEnter = (e) => {
+        const stats = statsFor(e.detail.id);
+        stats.enters++;
+        track('waypoint_enter', { waypoint: e.detail.id, count: stats.enters });
+    };
+    const onWaypointLeave = (e) => {
+        const stats = statsFor(e.detail.id);
+        stats.leaves++;
+        track('waypoint_leave', { waypoint: e.detail.id, count: stats.leaves });
+    };
+    const onModalOpen = (e) => {
+        const { element, src, index } = e.detail;
+        const id = element || `image-${index + 1}`;
+        imageOpens.set(id, (imageOpens.get(id) || 0) + 1);
+        track('image_open', { element: id, src, count: imageOpens.get(id) });
+    };
+    scroller.addEventListener('progress', onProgress);
+    scroller.addEventListener('waypointenter', onWaypointEnter);
+    scroller.addEventListener('waypointleave', onWaypointLeave);
+    if (imageModal) imageModal.element.addEventListener('modalopen', onModalOpen);
+    
+    // === PAGE LIFECYCLE ===
+    // Hidden tabs often never come back (mobile), so that counts as a drop-off;
+    // coming back starts a new visit in the same session
+    const onVisibilityChange = () => {
+        if (document.visibilityState === 'hidden') {
+            endSession('hidden');
+        } else if (ended) {
+            ended = false;
+            // The hidden time doesn't count as time near a waypoint
+            const now = Date.now();
+            waypointStats.forEach(stats => {
+                if (stats.nearSince !== null) stats.nearSince = now;
+            });
+            track('session_resume', { progress: scroller.scrollProgress });
+        }
+    };
+    const onPageHide = () => endSession('pagehide');
+    const onOnline = () => flush();
+    document.addEventListener('visibilitychange', onVisibilityChange);
+    window.addEventListener('pagehide', onPageHide);
+    window.addEventListener('online', onOnline);
+    const timer = setInterval(() => flush(), settings.flushInterval);
+    
+    scroller.addEventListener('destroy', () => {
+        endSession('destroy');
+        clearInterval(timer);
+        scroller.removeEventListener('progress', onProgress);
+        scroller.removeEventListener('waypointenter', onWaypointEnter);
+        scroller.removeEventListener('waypointleave', onWaypointLeave);
+        if (imageModal) imageModal.element.removeEventListener('modalopen', onModalOpen);
+        document.removeEventListener('visibilitychange', onVisibilityChange);
+        window.removeEventListener('pagehide', onPageHide);
+        window.removeEventListener('online', onOnline);
+    }, { once: true });
+    
+    track('session_start', { progress: scroller.scrollProgress, scene: scroller.scene.name });
+    
+    return {
+        track,
+        flush,
+        // Turning Do Not Track on drops anything not yet sent
+        setDoNotTrack(on) {
+            doNotTrack = Boolean(on);
+            if (doNotTrack) {
+                queue = [];
+                writeStoredEvents(pendingKey, []);
+            }
+        }
+    };
 }
 
 // ==============================================================================
@@ -514,20 +3723,32 @@ function setupImageExpansion() {
 // ==============================================================================
 /*
 1. USER SCROLLS VERTICALLY: User scrolls down the page normally
+   (the scene's travel map decides how far each bit of scrolling drives the truck)
 
 2. LAYERS MOVE HORIZONTALLY: Instead of content moving up/down, the layers move left/right at different speeds
+   (a requestAnimationFrame loop eases them toward the scroll position, so motion stays smooth)
 
-3. PARALLAX SPEEDS CREATE DEPTH:
+3. PARALLAX SPEEDS CREATE DEPTH (configured per layer in the scene):
    - Background layer moves slowest (30% speed) = appears furthest away
    - Middle layer moves normal speed (100% speed) = appears at normal depth  
    - Foreground layer moves fastest (100% speed) = appears closest
 
 4. TRUCK STAYS FIXED: The truck never moves - it's positioned fixed on screen
+   (its wheels roll with the same eased movement as the layers, sized by their radius)
 
-5. COLLISION DETECTION: As layers move, we calculate when the stop sign (in middle layer) 
-   reaches the truck's position, then trigger animations
+5. COLLISION DETECTION: Each waypoint's measured position in its own layer, moved at that
+   layer's speed, is compared with the front of the truck's box; it activates on contact
+   (and resets again once the truck has backed off, allowing for any hysteresis)
 
 6. RESPONSIVE DESIGN: Image size and scroll distances adjust based on screen size
+   (after a resize or rotation the truck is put back at the same stop or point along the route)
+
+7. REDUCED MOTION: With prefers-reduced-motion (or options.motion = 'reduced') all layers
+   move together, the wheels stay still, moves jump instead of animating and
+   waypoints fade in rather than scale
+
+8. AMBIENCE: Zones along the route (or the clock) switch between moods that tint and
+   filter the layers, and add rain, snow or fog as extra parallax layers of their own
 
 This creates the illusion that the truck is driving horizontally through a landscape,
 when actually the user is just scrolling vertically and the landscape is moving past the truck.